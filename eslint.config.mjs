@@ -1,5 +1,18 @@
 import { FlatCompat } from '@eslint/eslintrc'
 
 export default [
-  ...new FlatCompat().extends('eslint-config-standard')
+  ...new FlatCompat().extends('eslint-config-standard'),
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: {
+        describe: 'readonly',
+        it: 'readonly',
+        before: 'readonly',
+        after: 'readonly',
+        beforeEach: 'readonly',
+        afterEach: 'readonly'
+      }
+    }
+  }
 ]
@@ -1,3 +1,11 @@
 'use strict'
 
-module.exports = require('./src/promizen')
+const Promizen = require('./src/promizen')
+
+Promizen.Deferred = require('./src/deferred')
+Promizen.Mutex = require('./src/mutex')
+Promizen.Semaphore = require('./src/semaphore')
+Promizen.Queue = require('./src/queue')
+Promizen.Recorder = require('./src/recorder')
+
+module.exports = Promizen
@@ -0,0 +1,52 @@
+'use strict'
+
+/**
+ * @file Deferred: a promizen along with its resolving functions, which can be settled from outside.
+ * @author galaxyzen
+ */
+
+const Promizen = require('./promizen')
+
+class Deferred {
+  /**
+   * Creates a new Deferred instance, along with a new pending promizen.
+   *
+   * <p>
+   *  The <code>resolve</code> and <code>reject</code> are the resolving functions of the promizen,
+   *  so they can be passed around without being bound, and only the first call of them takes effect.
+   *  As it has the <code>promise</code>, <code>resolve</code> and <code>reject</code> properties,
+   *  a deferred is exactly what the <code>deferred()</code> of the Promises/A+ adapter returns.
+   * </p>
+   *
+   * @class
+   * @param {Function} [C=Promizen] - The constructor of the promizen, which can be a subclass of Promizen.
+   */
+  constructor (C = Promizen) {
+    const { promise, resolve, reject } = Promizen.withResolvers.call(C)
+
+    /** @member {Promizen} promise - The promizen settled by the deferred. */
+    this.promise = promise
+
+    /** @member {Function} resolve - Resolves the promizen with the given value. */
+    this.resolve = resolve
+
+    /** @member {Function} reject - Rejects the promizen with the given reason. */
+    this.reject = reject
+  }
+
+  /**
+   * Checks whether the promizen is settled.
+   *
+   * <p>
+   *  Note that the promizen may be still pending after the deferred is resolved with a thenable,
+   *  until the thenable is settled.
+   * </p>
+   *
+   * @returns {boolean} Whether the promizen is settled.
+   */
+  isSettled () {
+    return !this.promise.isPending()
+  }
+}
+
+module.exports = Deferred
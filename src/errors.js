@@ -0,0 +1,47 @@
+'use strict'
+
+/**
+ * @file The error types used by Promizen to reject promizens.
+ * @author galaxyzen
+ */
+
+/**
+ * The error a promizen is rejected with when it's cancelled.
+ *
+ * <p>The reason given to the cancellation, if any, is available as the <code>cause</code> of the error.</p>
+ */
+class AbortError extends Error {
+  /**
+   * Creates a new AbortError instance.
+   *
+   * @class
+   * @param {string} [message] - The message of the error.
+   * @param {{cause: *}} [options] - The options of the error.
+   */
+  constructor (message = 'the promizen is cancelled', options) {
+    super(message, options)
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * The error a promizen is rejected with when it's not settled in time, see {@linkcode Promizen#timeout}.
+ */
+class TimeoutError extends Error {
+  /**
+   * Creates a new TimeoutError instance.
+   *
+   * @class
+   * @param {string} [message] - The message of the error.
+   * @param {{cause: *}} [options] - The options of the error.
+   */
+  constructor (message = 'the promizen timed out', options) {
+    super(message, options)
+    this.name = 'TimeoutError'
+  }
+}
+
+module.exports = {
+  AbortError,
+  TimeoutError
+}
@@ -0,0 +1,75 @@
+'use strict'
+
+/**
+ * @file Mutex: serializes the access to a shared resource, with the waiters served in FIFO order.
+ * @author galaxyzen
+ */
+
+const Semaphore = require('./semaphore')
+
+class Mutex {
+  /**
+   * The semaphore with a single permit behind the mutex.
+   *
+   * @type {Semaphore}
+   */
+  #semaphore = new Semaphore(1)
+
+  /**
+   * The number of waiters for the lock.
+   *
+   * @type {number}
+   */
+  get waiting () {
+    return this.#semaphore.waiting
+  }
+
+  /**
+   * Acquires the lock.
+   *
+   * <p>
+   *  The returned promizen will be fulfilled with the release function of the lock, once the lock is free.
+   *  The waiters are served in FIFO order, and can be given up on by the signal or by cancelling the returned promizen,
+   *  see {@linkcode Semaphore#acquire}.
+   * </p>
+   *
+   * @param {Object} [options] - The options of the acquisition.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the acquisition.
+   * @returns {Promizen} A promizen fulfilled with the release function.
+   */
+  lock (options) {
+    return this.#semaphore.acquire(options)
+  }
+
+  /**
+   * Acquires the lock if it's free right now, without waiting.
+   *
+   * @returns {Function|null} The release function of the lock, or null if the lock is held or waited for.
+   */
+  tryLock () {
+    return this.#semaphore.tryAcquire()
+  }
+
+  /**
+   * Checks whether the lock is held.
+   *
+   * @returns {boolean} Whether the lock is held.
+   */
+  isLocked () {
+    return this.#semaphore.available === 0
+  }
+
+  /**
+   * Calls the function while holding the lock, the lock is released when the function is settled.
+   *
+   * @param {Function} fn - The function to call, which may return a value, a promizen or a thenable.
+   * @param {Object} [options] - The options of the acquisition.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the acquisition.
+   * @returns {Promizen} A promizen settled in the same way as the function.
+   */
+  runExclusive (fn, options) {
+    return this.#semaphore.use(fn, options)
+  }
+}
+
+module.exports = Mutex
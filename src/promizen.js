@@ -9,6 +9,8 @@
  * @see {@link https://github.com/promises-aplus/promises-tests|promises-aplus/promises-tests} for more information on the Promises/A+ Compliance Test Suite.
  */
 
+const { AbortError, TimeoutError } = require('./errors')
+
 /** @constant {string} PENDING - Represents the initial state of a promizen, before it has been settled (fulfilled or rejected). */
 const PENDING = 'pending'
 
@@ -18,20 +20,436 @@ const FULFILLED = 'fulfilled'
 /** @constant {string} REJECTED - Represents the state of a promizen that has been rejected with an error. */
 const REJECTED = 'rejected'
 
+/**
+ * Gets the constructor used to create the derived promizens of the given promizen.
+ *
+ * <p>
+ *  The constructor is looked up through <code>promizen.constructor[Symbol.species]</code>,
+ *  falling back to the default constructor if either of them is undefined or null.
+ * </p>
+ *
+ * @param {Promizen} promizen - The promizen deriving new promizens.
+ * @param {Function} defaultConstructor - The constructor used when no species is specified.
+ * @returns {Function} The constructor of the derived promizens.
+ * @throws {TypeError} Throws a TypeError if the constructor or the species is invalid.
+ */
+const speciesConstructor = (promizen, defaultConstructor) => {
+  const C = promizen.constructor
+  if (C === undefined) {
+    return defaultConstructor
+  }
+  if (C === null || (typeof C !== 'object' && typeof C !== 'function')) {
+    throw new TypeError('the constructor of the promizen is not an object')
+  }
+  const S = C[Symbol.species]
+  if (S === undefined || S === null) {
+    return defaultConstructor
+  }
+  if (typeof S !== 'function') {
+    throw new TypeError('the species of the promizen is not a constructor')
+  }
+  return S
+}
+
+/**
+ * Creates a new promizen by the given constructor, along with its resolving functions.
+ *
+ * @param {Function} C - The constructor of the new promizen.
+ * @returns {{promise: Promizen, resolve: Function, reject: Function}} The promizen capability.
+ * @throws {TypeError} Throws a TypeError if the constructor does not pass valid resolving functions to the executor.
+ */
+const newPromizenCapability = (C) => {
+  if (typeof C !== 'function') {
+    throw new TypeError('the constructor of the promizen capability is not a function')
+  }
+  let resolve
+  let reject
+  const promise = new C((resolveFunc, rejectFunc) => {
+    if (resolve !== undefined || reject !== undefined) {
+      throw new TypeError('the executor of the promizen capability has already been called')
+    }
+    resolve = resolveFunc
+    reject = rejectFunc
+  })
+  if (typeof resolve !== 'function' || typeof reject !== 'function') {
+    throw new TypeError('the resolving functions of the promizen capability are not functions')
+  }
+  return { promise, resolve, reject }
+}
+
+/** @constant {symbol} INSPECT_CUSTOM - The same symbol as <code>util.inspect.custom</code> of Node, registered globally. */
+const INSPECT_CUSTOM = Symbol.for('nodejs.util.inspect.custom')
+
+/** @constant {symbol} PROMISIFY_CUSTOM - The same symbol as <code>util.promisify.custom</code> of Node, registered globally. */
+const PROMISIFY_CUSTOM = Symbol.for('nodejs.util.promisify.custom')
+
+/** @constant {number} LONG_STACK_TRACE_LIMIT - The maximum number of call sites appended to the stack of an error. */
+const LONG_STACK_TRACE_LIMIT = 10
+
+/**
+ * Checks whether the line of a stack is a frame inside this file, which is noise for the users of Promizen.
+ *
+ * @param {string} line - The line of a stack.
+ * @returns {boolean} Whether the line is a frame inside this file.
+ */
+const isNoiseFrame = (line) => /^\s*at /.test(line) && line.includes(__filename)
+
+/**
+ * Captures the frames of the current call site, without the noise frames.
+ *
+ * @returns {string} The frames of the current call site.
+ */
+const captureCallSite = () => {
+  const stack = new Error().stack || ''
+  return stack.split('\n').slice(1).filter((line) => !isNoiseFrame(line)).join('\n')
+}
+
+/**
+ * The stacks of the errors before they are extended with the call sites, along with the call sites appended to them.
+ *
+ * @type {WeakMap<Error, {stack: string, traces: Array<{callSite: string, parent: Object|null}>}>}
+ */
+const longStackTraces = new WeakMap()
+
+/**
+ * Extends the stack of the error with the call sites of the promizen it passes through and their parents.
+ *
+ * <p>
+ *  The call sites of the latest promizen come first, followed by the ones appended by the previous promizens,
+ *  each one is introduced by a "From previous event:" line, and the noise frames inside this file are removed.
+ * </p>
+ *
+ * @param {Error} error - The error passing through the promizen.
+ * @param {{callSite: string, parent: Object|null}} trace - The trace of the promizen.
+ * @returns {void}
+ */
+const extendStackTrace = (error, trace) => {
+  let record = longStackTraces.get(error)
+  if (record === undefined) {
+    const stack = typeof error.stack === 'string' ? error.stack : String(error)
+    record = { stack: stack.split('\n').filter((line) => !isNoiseFrame(line)).join('\n'), traces: [] }
+    longStackTraces.set(error, record)
+  }
+  const traces = []
+  for (let current = trace; current !== null && traces.length < LONG_STACK_TRACE_LIMIT; current = current.parent) {
+    traces.push(current)
+  }
+  record.traces.forEach((current) => {
+    if (traces.length < LONG_STACK_TRACE_LIMIT && !traces.includes(current)) {
+      traces.push(current)
+    }
+  })
+  record.traces = traces
+  const callSites = traces.filter(({ callSite }) => callSite !== '').map(({ callSite }) => `From previous event:\n${callSite}`)
+  try {
+    error.stack = [record.stack, ...callSites].join('\n')
+  } catch (e) {
+    // the stack of a frozen error can't be extended
+  }
+}
+
+/**
+ * Schedules the callback to the macro-task queue, which is run after the micro-task queue is drained.
+ *
+ * @param {Function} callback - The callback to schedule.
+ * @returns {void}
+ */
+const scheduleMacrotask = (callback) => {
+  if (typeof setImmediate === 'function') {
+    setImmediate(callback)
+  } else {
+    setTimeout(callback, 0)
+  }
+}
+
+/**
+ * Creates a scheduler which runs the scheduled tasks in batches.
+ *
+ * <p>
+ *  The first task scheduled to an empty queue defers a flush by the given function, and the following tasks just join the queue,
+ *  so that many handlers are run in one flush. A flush only runs the tasks queued before it starts, the tasks scheduled during a flush
+ *  are left to the next flush deferred in the same way, so that a long chain doesn't starve the other tasks (e.g. the I/O callbacks
+ *  between the flushes of the <code>immediate</code> scheduler).
+ * </p>
+ *
+ * @param {function(Function): void} defer - The function deferring the flush.
+ * @returns {function(Function): void} The scheduler.
+ */
+const createBatchScheduler = (defer) => {
+  let queue = []
+  let deferred = false
+  const flush = () => {
+    deferred = false
+    const tasks = queue
+    queue = []
+    let index = 0
+    try {
+      while (index < tasks.length) {
+        tasks[index++]()
+      }
+    } finally {
+      queue = tasks.slice(index).concat(queue)
+      if (queue.length > 0 && !deferred) {
+        deferred = true
+        defer(flush)
+      }
+    }
+  }
+  return (task) => {
+    queue.push(task)
+    if (!deferred) {
+      deferred = true
+      defer(flush)
+    }
+  }
+}
+
+/**
+ * The built-in schedulers, see {@linkcode Promizen.setScheduler}.
+ *
+ * @type {{microtask: function(Function): void, immediate: function(Function): void, nextTick: function(Function): void}}
+ */
+const schedulers = Object.freeze({
+  microtask: createBatchScheduler((flush) => queueMicrotask(flush)),
+  immediate: createBatchScheduler((flush) => setImmediate(flush)),
+  nextTick: createBatchScheduler((flush) => process.nextTick(flush))
+})
+
+/**
+ * The default rejection tracker, which emits the Node-style <code>unhandledRejection</code> and <code>rejectionHandled</code> events
+ * on the process if available.
+ *
+ * <p>
+ *  If nobody listens to <code>unhandledRejection</code>, a warning with the reason is emitted by <code>process.emitWarning</code> instead,
+ *  so that the rejection is never lost silently.
+ * </p>
+ *
+ * @type {{unhandledRejection: function(*, Promizen): void, rejectionHandled: function(Promizen): void}}
+ */
+const defaultRejectionTracker = {
+  unhandledRejection (reason, promizen) {
+    if (typeof process === 'undefined' || typeof process.emit !== 'function' || process.emit('unhandledRejection', reason, promizen)) {
+      return
+    }
+    if (typeof process.emitWarning === 'function') {
+      let description
+      try {
+        description = reason instanceof Error ? reason.stack || String(reason) : String(reason)
+      } catch (e) {
+        description = Object.prototype.toString.call(reason)
+      }
+      process.emitWarning(`a promizen was rejected without handlers: ${description}`, 'UnhandledPromizenRejectionWarning')
+    }
+  },
+  rejectionHandled (promizen) {
+    if (typeof process !== 'undefined' && typeof process.emit === 'function') {
+      process.emit('rejectionHandled', promizen)
+    }
+  }
+}
+
 class Promizen {
+  /**
+   * The tracker reporting the rejections without handlers, see {@linkcode Promizen.setRejectionTracker}.
+   *
+   * @type {{unhandledRejection: function(*, Promizen): void, rejectionHandled: function(Promizen): void}}
+   */
+  static #rejectionTracker = defaultRejectionTracker
+
+  /**
+   * The rejected promizens without handlers, which will be reported unless a handler is attached before the next macro-task.
+   *
+   * @type {Set<Promizen>}
+   */
+  static #unhandledRejections = new Set()
+
+  /**
+   * The schedulers set by {@linkcode Promizen.setScheduler}, keyed by the constructors.
+   *
+   * @type {WeakMap<Function, function(Function): void>}
+   */
+  static #schedulers = new WeakMap()
+
+  /**
+   * The configuration set by {@linkcode Promizen.config}.
+   *
+   * @type {{longStackTraces: boolean}}
+   */
+  static #config = { longStackTraces: false }
+
+  /**
+   * The trace prepared by {@linkcode Promizen#then} for the promizen it's creating, which is taken by the constructor,
+   * so that the call site is captured only once for a derived promizen.
+   *
+   * @type {{callSite: string, parent: Object|null}|null}
+   */
+  static #preparedTrace = null
+
+  /**
+   * The tracer receiving the events of the resolution, see {@linkcode Promizen.setTracer}.
+   *
+   * @type {function(Object): void|null}
+   */
+  static #tracer = null
+
+  /**
+   * The last ID given to a promizen by the tracing.
+   *
+   * @type {number}
+   */
+  static #lastTraceId = 0
+
+  /**
+   * The built-in schedulers which run the handlers in batches:
+   * <code>microtask</code> (the default one), <code>immediate</code> by <code>setImmediate</code> and <code>nextTick</code> by <code>process.nextTick</code>.
+   *
+   * @type {{microtask: function(Function): void, immediate: function(Function): void, nextTick: function(Function): void}}
+   */
+  static schedulers = schedulers
+
+  /**
+   * The error a promizen is rejected with when it's cancelled, see {@linkcode Promizen#cancel}.
+   *
+   * @type {Function}
+   */
+  static AbortError = AbortError
+
+  /**
+   * The error a promizen is rejected with when it's not settled in time, see {@linkcode Promizen#timeout}.
+   *
+   * @type {Function}
+   */
+  static TimeoutError = TimeoutError
+
+  /**
+   * The state of the promizen, one of {@linkcode PENDING}, {@linkcode FULFILLED} and {@linkcode REJECTED}.
+   *
+   * @type {string}
+   */
+  #state = PENDING
+
+  /**
+   * The value of the promizen once it's {@linkcode FULFILLED}.
+   *
+   * @type {*}
+   */
+  #value = null
+
+  /**
+   * The reason of the promizen once it's {@linkcode REJECTED}.
+   *
+   * @type {*}
+   */
+  #reason = null
+
+  /**
+   * Whether a handler has ever been attached to the promizen by {@linkcode Promizen#then}.
+   *
+   * @type {boolean}
+   */
+  #handled = false
+
+  /**
+   * Whether the rejection of the promizen has been reported as unhandled.
+   *
+   * @type {boolean}
+   */
+  #unhandledReported = false
+
+  /**
+   * The handlers stashed by {@linkcode Promizen#then} while the promizen is {@linkcode PENDING}.
+   *
+   * @type {Array<{onFulfilled: Function, onRejected: Function}>}
+   */
+  #pendingHandlers = []
+
+  /**
+   * Whether the promizen has been cancelled by {@linkcode Promizen#cancel}.
+   *
+   * @type {boolean}
+   */
+  #cancelled = false
+
+  /**
+   * The callbacks registered by the onCancel of the executor, which are called when the promizen is cancelled.
+   *
+   * @type {Array<Function>}
+   */
+  #cancelCallbacks = []
+
+  /**
+   * Rejects the promizen regardless of its fate, which is used by {@linkcode Promizen#cancel}.
+   *
+   * @type {Function}
+   */
+  #abort = null
+
+  /**
+   * Removes the abort listener from the signal given to the constructor, if any.
+   *
+   * @type {Function|null}
+   */
+  #detachSignal = null
+
+  /**
+   * The promizen whose settlement the current promizen is waiting for, to which the cancellation is propagated.
+   *
+   * @type {Promizen|null}
+   */
+  #upstream = null
+
+  /**
+   * The number of the promizens waiting for the current promizen, which are not cancelled yet.
+   *
+   * @type {number}
+   */
+  #consumers = 0
+
+  /**
+   * The call site creating the promizen and the trace of its parent, only captured when the long stack traces are enabled.
+   *
+   * @type {{callSite: string, parent: Object|null}|null}
+   */
+  #trace = null
+
+  /**
+   * The ID identifying the promizen in the events of the tracing, given when the promizen appears in an event for the first time.
+   *
+   * @type {number}
+   */
+  #traceId = 0
+
   /**
    * Creates a new Promizen instance.
    *
+   * <p>
+   *  Besides {@linkcode resolve} and {@linkcode reject}, the executor receives an <code>onCancel</code> function as the third argument,
+   *  which registers a callback to be called with the {@linkcode AbortError} when the promizen is cancelled,
+   *  so that the executor can release its timers, sockets, etc.
+   * </p>
+   * <p>
+   *  If an <code>AbortSignal</code> is given, the promizen will be cancelled when the signal is aborted.
+   *  If the signal is already aborted, the executor will not be called and the promizen will be cancelled immediately.
+   * </p>
+   *
    * @class
-   * @param {Function} executor - A function that will be synchronously executed, passed with the methods {@linkcode resolve} and {@linkcode reject}.
-   * @throws {TypeError} Throws a TypeError if the executor is not a function.
+   * @param {Function} executor - A function that will be synchronously executed, passed with the methods {@linkcode resolve}, {@linkcode reject} and <code>onCancel</code>.
+   * @param {Object} [options] - The options of the promizen.
+   * @param {AbortSignal} [options.signal] - The signal cancelling the promizen.
+   * @throws {TypeError} Throws a TypeError if the executor is not a function or the signal is invalid.
    */
-  constructor (executor) {
-    this.state = PENDING
-    this.value = null
-    this.reason = null
+  constructor (executor, options = {}) {
+    if (Promizen.#preparedTrace !== null) {
+      this.#trace = Promizen.#preparedTrace
+      Promizen.#preparedTrace = null
+    } else if (Promizen.#config.longStackTraces) {
+      this.#trace = { callSite: captureCallSite(), parent: null }
+    }
+    if (Promizen.#tracer !== null) {
+      Promizen.#emit('create', this, { name: (this.constructor && this.constructor.name) || 'Promizen' })
+    }
 
-    const __pendingHandlers = []
+    const { signal } = options
     let resolved = false
 
     const resolve = (value) => {
@@ -50,10 +468,40 @@ class Promizen {
       __reject(reason)
     }
 
+    const onCancel = (callback) => {
+      if (typeof callback !== 'function') {
+        throw new TypeError('the cancel callback is not a function')
+      }
+      if (this.#cancelled) {
+        callback(this.#reason)
+        return
+      }
+      if (this.#state === PENDING) {
+        this.#cancelCallbacks.push(callback)
+      }
+    }
+
+    const __release = () => {
+      this.#cancelCallbacks = []
+      if (this.#detachSignal !== null) {
+        this.#detachSignal()
+        this.#detachSignal = null
+      }
+    }
+
     const __resolve = (value) => {
-      this.state = FULFILLED
-      this.value = value
-      __pendingHandlers.forEach((handler) => {
+      if (this.#state !== PENDING) {
+        return
+      }
+      this.#state = FULFILLED
+      this.#value = value
+      if (Promizen.#tracer !== null) {
+        Promizen.#emit('settle', this, { state: FULFILLED, value })
+      }
+      __release()
+      const handlers = this.#pendingHandlers
+      this.#pendingHandlers = []
+      handlers.forEach((handler) => {
         handler.onFulfilled()
       })
     }
@@ -62,7 +510,10 @@ class Promizen {
      * Rejects the promizen with the given reason.
      *
      * <p>
-     *  The rejection process is very simple, just set the promizen's state to {@linkcode REJECTED} with the given reason.<br/>
+     *  The rejection process is very simple, just set the promizen's state to {@linkcode REJECTED} with the given reason.
+     *  If no handler has been attached yet, the promizen is tracked as a possibly unhandled rejection.
+     *  It has no effect if the promizen is already settled, which may happen when it's cancelled.
+     *  If the long stack traces are enabled, the stack of the reason will be extended with the call sites of the promizen.<br/>
      *  When resolve is invoked for the first time, the promizen's fate transitions from {@linkcode UNRESOLVED} to {@linkcode RESOLVED},
      *  with any subsequent invocations proving ineffective.
      * </p>
@@ -71,9 +522,24 @@ class Promizen {
      * @returns {void}
      */
     const __reject = (reason) => {
-      this.state = REJECTED
-      this.reason = reason
-      __pendingHandlers.forEach((handler) => {
+      if (this.#state !== PENDING) {
+        return
+      }
+      this.#state = REJECTED
+      this.#reason = reason
+      if (this.#trace !== null && reason instanceof Error) {
+        extendStackTrace(reason, this.#trace)
+      }
+      if (Promizen.#tracer !== null) {
+        Promizen.#emit('settle', this, { state: REJECTED, reason, cancelled: this.#cancelled })
+      }
+      __release()
+      if (!this.#handled) {
+        Promizen.#trackUnhandledRejection(this)
+      }
+      const handlers = this.#pendingHandlers
+      this.#pendingHandlers = []
+      handlers.forEach((handler) => {
         handler.onRejected()
       })
     }
@@ -116,13 +582,24 @@ class Promizen {
      * @returns {void}
      */
     const __resolveValue = (x) => {
+      if (this.#state !== PENDING) {
+        return
+      }
+
       if (this === x) {
+        if (Promizen.#tracer !== null) {
+          Promizen.#emit('adopt', this, { via: 'cycle', target: Promizen.#traceIdOf(this) })
+        }
         __reject(new TypeError('chaining cycle detected for the promizen resolution'))
         return
       }
 
       if (x instanceof Promizen) {
-        x.then((value) => __resolve(value), (reason) => __reject(reason))
+        if (Promizen.#tracer !== null) {
+          Promizen.#emit('adopt', this, { via: 'promizen', target: Promizen.#traceIdOf(x) })
+        }
+        Promizen.#unlink(x.then((value) => __resolve(value), (reason) => __reject(reason)))
+        Promizen.#link(this, x)
         return
       }
 
@@ -144,6 +621,10 @@ class Promizen {
         return
       }
 
+      if (Promizen.#tracer !== null) {
+        Promizen.#emit('adopt', this, { via: 'thenable', target: null })
+      }
+
       let called = false
       try {
         thenFunc.call(
@@ -171,105 +652,1499 @@ class Promizen {
       }
     }
 
-    /**
-     * Attaches handlers for the resolution and/or rejection of the promizen.
-     *
-     * <p>
-     *  The method receives two handlers: onFulfilled for the resolution and onRejected for the rejection.
-     *  As agreed, the onFulfilled receives the resolved value of the current promizen as its argument,
-     *  and the onRejected receives the rejected reason of the current promizen as its argument.
-     * </p>
-     *
-     * <p>
-     *  It's interesting that the handlers won't be executed immediately even if the promizen is already settled,
-     *  the handlers will be deferred to the micro-task queue:
-     *  <ol style="list-style-type: none">
-     *    <li>1. If the current promizen's state is {@linkcode FULFILLED}, the onFulfilled will be queued to the micro-task queue immediately.</li>
-     *    <li>2. If the current promizen's state is {@linkcode REJECTED}, the onRejected will be queued to the micro-task queue immediately.</li>
-     *    <li>
-     *      3. Otherwise, if the promizen is {@linkcode PENDING}, the onFulfilled and onRejected handlers will be stashed,
-     *      and queued to the micro-task queue when the promizen is settled.
-     *   </li>
-     *  </ol>
-     *  The queued onFulfilled or onRejected will be dequeued and executed, when the event-cycle reaches the micro-task queue,
-     *  and the argument (value or reason of current promizen) passed to the handler is previous captured by closure.
-     * </p>
-     *
-     * <p>
-     *  The then method immediately returns a new promizen, which is the key to promizen chaining.
-     *  The new promizen will be resolved with the return value of the handlers or rejected with the error thrown from the handlers.
-     *  The onFulfilled and onRejected handlers are optional. If they are not functions, they will be ignored, and the new Promizen
-     *  will be resolved with the current promizen's value or rejected with the current promizen's reason.
-     * </p>
-     *
-     * @param {function} [onFulfilled] - The handler to execute when the promizen is {@linkcode FULFILLED}.
-     * @param {function} [onRejected] - The handler to execute when the promizen is {@linkcode REJECTED}.
-     * @returns {Promizen} A new promizen resolved with the return value of the handlers or rejected with the error thrown from the handlers.
-     */
-    this.then = (onFulfilled, onRejected) => {
-      onFulfilled = typeof onFulfilled === 'function' ? onFulfilled : (value) => value
-      onRejected = typeof onRejected === 'function' ? onRejected : (reason) => { throw reason }
-
-      const promizen = new Promizen((resolve, reject) => {
-        const fulfilledAction = () => {
-          queueMicrotask(() => {
-            try {
-              resolve(onFulfilled(this.value))
-            } catch (e) {
-              reject(e)
-            }
-          })
-        }
+    if (typeof executor !== 'function') {
+      executor() // just for throwing TypeError
+    }
 
-        const rejectedAction = () => {
-          queueMicrotask(() => {
-            try {
-              resolve(onRejected(this.reason))
-            } catch (e) {
-              reject(e)
-            }
-          })
-        }
+    this.#abort = __reject
+
+    if (signal !== undefined && signal !== null) {
+      if (typeof signal.addEventListener !== 'function' || typeof signal.removeEventListener !== 'function') {
+        throw new TypeError('the signal is not an AbortSignal')
+      }
+      if (signal.aborted) {
+        this.cancel(signal.reason)
+        return
+      }
+      const onAbort = () => this.cancel(signal.reason)
+      signal.addEventListener('abort', onAbort, { once: true })
+      this.#detachSignal = () => signal.removeEventListener('abort', onAbort)
+    }
+
+    try {
+      executor(resolve, reject, onCancel)
+    } catch (e) {
+      reject(e)
+    }
+  }
+
+  /**
+   * Attaches handlers for the resolution and/or rejection of the promizen.
+   *
+   * <p>
+   *  The method receives two handlers: onFulfilled for the resolution and onRejected for the rejection.
+   *  As agreed, the onFulfilled receives the resolved value of the current promizen as its argument,
+   *  and the onRejected receives the rejected reason of the current promizen as its argument.
+   * </p>
+   *
+   * <p>
+   *  It's interesting that the handlers won't be executed immediately even if the promizen is already settled,
+   *  the handlers will be deferred to the micro-task queue (or by another scheduler, see {@linkcode Promizen.setScheduler}):
+   *  <ol style="list-style-type: none">
+   *    <li>1. If the current promizen's state is {@linkcode FULFILLED}, the onFulfilled will be queued to the micro-task queue immediately.</li>
+   *    <li>2. If the current promizen's state is {@linkcode REJECTED}, the onRejected will be queued to the micro-task queue immediately.</li>
+   *    <li>
+   *      3. Otherwise, if the promizen is {@linkcode PENDING}, the onFulfilled and onRejected handlers will be stashed,
+   *      and queued to the micro-task queue when the promizen is settled.
+   *   </li>
+   *  </ol>
+   *  The queued onFulfilled or onRejected will be dequeued and executed, when the event-cycle reaches the micro-task queue,
+   *  and the argument (value or reason of current promizen) passed to the handler is previous captured by closure.
+   * </p>
+   *
+   * <p>
+   *  The then method immediately returns a new promizen, which is the key to promizen chaining.
+   *  The new promizen will be resolved with the return value of the handlers or rejected with the error thrown from the handlers.
+   *  The onFulfilled and onRejected handlers are optional. If they are not functions, they will be ignored, and the new Promizen
+   *  will be resolved with the current promizen's value or rejected with the current promizen's reason.
+   * </p>
+   *
+   * @param {function} [onFulfilled] - The handler to execute when the promizen is {@linkcode FULFILLED}.
+   * @param {function} [onRejected] - The handler to execute when the promizen is {@linkcode REJECTED}.
+   * @returns {Promizen} A new promizen resolved with the return value of the handlers or rejected with the error thrown from the handlers.
+   */
+  then (onFulfilled, onRejected) {
+    if (!(#pendingHandlers in this)) {
+      throw new TypeError('then is called on an incompatible receiver')
+    }
+
+    const C = speciesConstructor(this, Promizen)
+    if (Promizen.#config.longStackTraces) {
+      Promizen.#preparedTrace = { callSite: captureCallSite(), parent: this.#trace }
+    }
+    let capability
+    try {
+      capability = newPromizenCapability(C)
+    } finally {
+      Promizen.#preparedTrace = null
+    }
+    const { promise, resolve, reject } = capability
+
+    const childTraceId = () => #traceId in promise ? Promizen.#traceIdOf(promise) : null
+    if (Promizen.#tracer !== null) {
+      Promizen.#emit('link', this, { child: childTraceId() })
+    }
+
+    if (this.#unhandledReported) {
+      this.#unhandledReported = false
+      Promizen.#callRejectionTracker('rejectionHandled', this)
+    }
+    this.#handled = true
+
+    onFulfilled = typeof onFulfilled === 'function' ? onFulfilled : (value) => value
+    onRejected = typeof onRejected === 'function' ? onRejected : (reason) => { throw reason }
 
-        if (this.state === FULFILLED) {
-          fulfilledAction()
+    const schedule = Promizen.#schedulerOf(this.constructor)
+
+    const fulfilledAction = () => {
+      schedule(() => {
+        if (Promizen.#isCancelled(promise)) {
           return
         }
+        if (Promizen.#tracer !== null) {
+          Promizen.#emit('handler', this, { child: childTraceId(), state: FULFILLED })
+        }
+        try {
+          resolve(onFulfilled(this.#value))
+        } catch (e) {
+          reject(e)
+        }
+      })
+    }
 
-        if (this.state === REJECTED) {
-          rejectedAction()
+    const rejectedAction = () => {
+      schedule(() => {
+        if (Promizen.#isCancelled(promise)) {
           return
         }
-
-        __pendingHandlers.push({
-          onFulfilled: fulfilledAction,
-          onRejected: rejectedAction
-        })
+        if (Promizen.#tracer !== null) {
+          Promizen.#emit('handler', this, { child: childTraceId(), state: REJECTED })
+        }
+        try {
+          resolve(onRejected(this.#reason))
+        } catch (e) {
+          reject(e)
+        }
       })
-      return promizen
     }
 
-    /**
-     * Attaches the handler for the rejection of the promizen.
-     *
-     * <p>Just alias <code>then(null, onRejected)</code></p>
-     *
-     * @param {function} [onRejected] - The handler to execute when the promizen is {@linkcode REJECTED}.
-     * @returns {Promizen} A new promizen resolved with the return value of the handler or rejected with the error thrown from the handler.
-     */
-    this.catch = (onRejected) => {
-      return this.then(null, onRejected)
+    if (this.#state === FULFILLED) {
+      fulfilledAction()
+    } else if (this.#state === REJECTED) {
+      rejectedAction()
+    } else {
+      this.#pendingHandlers.push({
+        onFulfilled: fulfilledAction,
+        onRejected: rejectedAction
+      })
+      Promizen.#link(promise, this)
     }
+    return promise
+  }
 
-    if (typeof executor !== 'function') {
-      executor() // just for throwing TypeError
+  /**
+   * Cancels the promizen.
+   *
+   * <p>
+   *  If the promizen is still {@linkcode PENDING}, it will be {@linkcode REJECTED} with an {@linkcode AbortError}
+   *  (or the given reason itself if it's already an AbortError), and the handlers of the derived promizens which are
+   *  cancelled won't be executed. The cancellation takes the following steps:
+   *  <ol style="list-style-type: none">
+   *    <li>1. The promizen is rejected with the AbortError, even if its fate is already resolved by a thenable.</li>
+   *    <li>2. The callbacks registered by the onCancel of the executor are called with the AbortError.</li>
+   *    <li>3. If the promizen is waiting for another promizen (its parent in the chain, or the promizen it's resolved with),
+   *      and that promizen has no other consumers which are not cancelled, that promizen will be cancelled as well.</li>
+   *  </ol>
+   *  Otherwise, if the promizen is already settled, the cancellation has no effect.
+   * </p>
+   * <p>
+   *  As the cancellation is requested by a consumer, the rejection of the cancelled promizen is never reported as unhandled.
+   * </p>
+   *
+   * @param {*} [reason] - The reason for the cancellation, available as the <code>cause</code> of the AbortError.
+   * @returns {void}
+   */
+  cancel (reason) {
+    if (!(#pendingHandlers in this)) {
+      throw new TypeError('cancel is called on an incompatible receiver')
+    }
+    if (this.#state !== PENDING) {
+      return
+    }
+
+    const error = reason instanceof AbortError
+      ? reason
+      : new AbortError(undefined, reason === undefined ? undefined : { cause: reason })
+    const callbacks = this.#cancelCallbacks
+    this.#cancelled = true
+    this.#handled = true
+    this.#abort(error)
+    callbacks.forEach((callback) => {
+      try {
+        callback(error)
+      } catch (e) {
+        scheduleMacrotask(() => { throw e })
+      }
+    })
+
+    Promizen.#cancelUpstream(this, error)
+  }
+
+  /**
+   * Rejects with a {@linkcode TimeoutError} if the promizen is not settled within the given time.
+   *
+   * <p>
+   *  The returned promizen follows the current promizen, unless the time runs out first. In that case,
+   *  it will be {@linkcode REJECTED} with the error given by errorOrFactory, and the current promizen will be cancelled
+   *  if it has no other consumers, see {@linkcode Promizen#cancel}. The errorOrFactory can be:
+   *  <ol style="list-style-type: none">
+   *    <li>1. Omitted, a TimeoutError with the default message will be used.</li>
+   *    <li>2. A string, a TimeoutError with the string as its message will be used.</li>
+   *    <li>3. A function, its return value will be used, so that a new error is created for each timeout.</li>
+   *    <li>4. Otherwise, the value itself will be used.</li>
+   *  </ol>
+   *  The timer is cleared as soon as the returned promizen is settled or cancelled.
+   * </p>
+   *
+   * @param {number} ms - The time in milliseconds.
+   * @param {string|Function|*} [errorOrFactory] - The error to reject with, or the factory creating it.
+   * @returns {Promizen} A promizen following the current promizen, or rejected when the time runs out.
+   */
+  timeout (ms, errorOrFactory) {
+    const C = speciesConstructor(this, Promizen)
+    let promise = null
+    let timer = null
+    promise = new C((resolve, reject, onCancel) => {
+      timer = setTimeout(() => {
+        let error
+        try {
+          if (errorOrFactory === undefined) {
+            error = new TimeoutError(`the promizen timed out after ${ms} ms`)
+          } else if (typeof errorOrFactory === 'string') {
+            error = new TimeoutError(errorOrFactory)
+          } else if (typeof errorOrFactory === 'function') {
+            error = errorOrFactory()
+          } else {
+            error = errorOrFactory
+          }
+        } catch (e) {
+          error = e
+        }
+        reject(error)
+        Promizen.#cancelUpstream(promise, error)
+      }, ms)
+      Promizen.#unlink(this.then(
+        (value) => {
+          clearTimeout(timer)
+          resolve(value)
+        },
+        (reason) => {
+          clearTimeout(timer)
+          reject(reason)
+        }
+      ))
+      if (typeof onCancel === 'function') {
+        onCancel(() => clearTimeout(timer))
+      }
+    })
+    Promizen.#link(promise, this)
+    return promise
+  }
+
+  /**
+   * Attaches the handler for the rejection of the promizen.
+   *
+   * <p>Just alias <code>then(undefined, onRejected)</code>, note that the <code>then</code> is looked up on the promizen, so it can be overridden by subclasses.</p>
+   *
+   * @param {function} [onRejected] - The handler to execute when the promizen is {@linkcode REJECTED}.
+   * @returns {Promizen} A new promizen resolved with the return value of the handler or rejected with the error thrown from the handler.
+   */
+  catch (onRejected) {
+    return this.then(undefined, onRejected)
+  }
+
+  /**
+   * Attaches the handler for the settlement of the promizen.
+   *
+   * <p>
+   *  The onFinally receives no argument, and its return value is ignored unless it's a thenable which is rejected:
+   *  <ol style="list-style-type: none">
+   *    <li>1. If onFinally returns normally, the new promizen will be settled in the same way as the current promizen,
+   *      after the thenable returned by onFinally (if any) is fulfilled.</li>
+   *    <li>2. If onFinally throws an error or returns a rejected thenable, the new promizen will be {@linkcode REJECTED} with that reason instead.</li>
+   *  </ol>
+   *  If onFinally is not a function, it will be passed to <code>then</code> as is, so the new promizen simply follows the current one.
+   * </p>
+   *
+   * @param {function} [onFinally] - The handler to execute when the promizen is settled.
+   * @returns {Promizen} A new promizen settled in the same way as the current promizen, or rejected with the error from onFinally.
+   */
+  finally (onFinally) {
+    const C = speciesConstructor(this, Promizen)
+    if (typeof onFinally !== 'function') {
+      return this.then(onFinally, onFinally)
+    }
+    return this.then(
+      (value) => C.resolve(onFinally()).then(() => value),
+      (reason) => C.resolve(onFinally()).then(() => { throw reason })
+    )
+  }
+
+  /**
+   * Routes the settlement of the promizen to a Node-style callback.
+   *
+   * <p>
+   *  When the promizen is {@linkcode FULFILLED}, the callback is called with <code>null</code> and the value
+   *  (or the elements of the value if <code>spread</code> is enabled and the value is an array).
+   *  When it's {@linkcode REJECTED}, the callback is called with the reason, a falsy reason is wrapped in an Error
+   *  with the original one as its <code>reason</code>, as the callback can't tell it from a success otherwise.
+   *  An error thrown from the callback is rethrown asynchronously, rather than turned into a rejection nobody handles.
+   * </p>
+   *
+   * @param {function(*, ...*): void} [callback] - The Node-style callback, nothing is done if it's not a function.
+   * @param {Object} [options] - The options of the routing.
+   * @param {boolean} [options.spread=false] - Whether to spread an array value into the arguments of the callback.
+   * @returns {Promizen} The promizen itself.
+   */
+  asCallback (callback, options = {}) {
+    if (typeof callback !== 'function') {
+      return this
+    }
+    const { spread = false } = options
+    const call = (...args) => {
+      try {
+        callback(...args)
+      } catch (e) {
+        scheduleMacrotask(() => { throw e })
+      }
+    }
+    this.then(
+      (value) => spread && Array.isArray(value) ? call(null, ...value) : call(null, value),
+      (reason) => {
+        if (reason) {
+          call(reason)
+          return
+        }
+        const error = new Error('the promizen was rejected with a falsy value')
+        error.reason = reason
+        call(error)
+      }
+    )
+    return this
+  }
+
+  /**
+   * Just alias {@linkcode Promizen#asCallback}.
+   *
+   * @param {function(*, ...*): void} [callback] - The Node-style callback, nothing is done if it's not a function.
+   * @param {Object} [options] - The options of the routing.
+   * @param {boolean} [options.spread=false] - Whether to spread an array value into the arguments of the callback.
+   * @returns {Promizen} The promizen itself.
+   */
+  nodeify (callback, options) {
+    return this.asCallback(callback, options)
+  }
+
+  /**
+   * Checks whether the promizen is {@linkcode PENDING}.
+   *
+   * <p>Inspecting the state synchronously doesn't count as handling a rejection, neither does any other inspection method.</p>
+   *
+   * @returns {boolean} Whether the promizen is pending.
+   */
+  isPending () {
+    return this.#state === PENDING
+  }
+
+  /**
+   * Checks whether the promizen is {@linkcode FULFILLED}.
+   *
+   * @returns {boolean} Whether the promizen is fulfilled.
+   */
+  isFulfilled () {
+    return this.#state === FULFILLED
+  }
+
+  /**
+   * Checks whether the promizen is {@linkcode REJECTED}.
+   *
+   * @returns {boolean} Whether the promizen is rejected.
+   */
+  isRejected () {
+    return this.#state === REJECTED
+  }
+
+  /**
+   * Takes a snapshot of the state of the promizen.
+   *
+   * <p>
+   *  The snapshot is <code>{ state: 'pending' }</code>, <code>{ state: 'fulfilled', value }</code> or <code>{ state: 'rejected', reason }</code>,
+   *  changing it has no effect on the promizen.
+   * </p>
+   *
+   * @returns {{state: string, value: *}|{state: string, reason: *}|{state: string}} The snapshot of the state.
+   */
+  inspect () {
+    if (this.#state === FULFILLED) {
+      return { state: FULFILLED, value: this.#value }
+    }
+    if (this.#state === REJECTED) {
+      return { state: REJECTED, reason: this.#reason }
+    }
+    return { state: PENDING }
+  }
+
+  /**
+   * Formats the promizen for <code>util.inspect</code> and <code>console.log</code> of Node, in the same way as the native promises,
+   * e.g. <code>Promizen { &lt;pending&gt; }</code>, <code>Promizen { 1 }</code> and <code>Promizen { &lt;rejected&gt; Error: bad ... }</code>.
+   *
+   * @param {number} depth - The remaining depth to format.
+   * @param {Object} options - The options of <code>util.inspect</code>.
+   * @param {Function} [inspect] - The <code>util.inspect</code> itself, passed by Node since v16.14.
+   * @returns {string} The formatted promizen.
+   */
+  [INSPECT_CUSTOM] (depth, options, inspect) {
+    const name = (this.constructor && this.constructor.name) || 'Promizen'
+    if (depth < 0) {
+      return `[${name}]`
+    }
+    if (this.#state === PENDING) {
+      return `${name} { <pending> }`
+    }
+    const result = this.#state === FULFILLED ? this.#value : this.#reason
+    const formatted = typeof inspect === 'function'
+      ? inspect(result, { ...options, depth: options.depth === null ? null : options.depth - 1 })
+      : String(result)
+    return this.#state === FULFILLED ? `${name} { ${formatted} }` : `${name} { <rejected> ${formatted} }`
+  }
+
+  /**
+   * The constructor used to create derived promizens, subclasses can override it to return another constructor.
+   *
+   * @type {Function}
+   */
+  static get [Symbol.species] () {
+    return this
+  }
+
+  /**
+   * Returns a promizen resolved with the given value after the given time.
+   *
+   * <p>The timer is cleared if the promizen is cancelled before the time runs out.</p>
+   *
+   * @param {number} ms - The time in milliseconds.
+   * @param {*} [value] - The value for the resolution.
+   * @returns {Promizen} A promizen resolved with the given value after the given time.
+   */
+  static delay (ms, value) {
+    return new this((resolve, reject, onCancel) => {
+      const timer = setTimeout(() => resolve(value), ms)
+      if (typeof onCancel === 'function') {
+        onCancel(() => clearTimeout(timer))
+      }
+    })
+  }
+
+  /**
+   * Calls the function until the promizen it returns is fulfilled, retrying with a delay when it's rejected.
+   *
+   * <p>
+   *  The function is called with the number of the attempt starting from 1, and may return a value, a promizen or a thenable.
+   *  When the attempt is rejected (or the function throws), another attempt is made after a delay, unless:
+   *  <ol style="list-style-type: none">
+   *    <li>1. The retries are used up, i.e. the function has been called <code>retries + 1</code> times.</li>
+   *    <li>2. The shouldRetry returns false for the error and the number of the attempt.</li>
+   *  </ol>
+   *  In that case, the returned promizen will be {@linkcode REJECTED} with the error of the last attempt.
+   * </p>
+   * <p>
+   *  The delay after the n-th attempt is <code>delay</code> for the fixed backoff, and <code>delay * 2 ** (n - 1)</code> for the exponential backoff,
+   *  capped by <code>maxDelay</code>. With jitter, a random delay between 0 and the computed one is used instead, to avoid retrying in lockstep.
+   *  If the returned promizen is cancelled, no more attempts are made, and the current attempt is cancelled if it's a promizen.
+   * </p>
+   *
+   * @param {function(number): *} fn - The function to call.
+   * @param {Object} [options] - The options of the retry.
+   * @param {number} [options.retries=3] - The maximum number of retries.
+   * @param {number} [options.delay=0] - The base delay in milliseconds.
+   * @param {number} [options.maxDelay=Infinity] - The maximum delay in milliseconds.
+   * @param {string} [options.backoff='fixed'] - The backoff strategy, either 'fixed' or 'exponential'.
+   * @param {boolean} [options.jitter=false] - Whether to randomize the delay.
+   * @param {function(*, number): boolean} [options.shouldRetry] - Decides whether to retry after the error of the given attempt.
+   * @returns {Promizen} A promizen fulfilled with the value of the first successful attempt, or rejected with the error of the last attempt.
+   * @throws {TypeError} Throws a TypeError if fn is not a function or the backoff is unknown.
+   */
+  static retry (fn, options = {}) {
+    const {
+      retries = 3,
+      delay = 0,
+      maxDelay = Infinity,
+      backoff = 'fixed',
+      jitter = false,
+      shouldRetry = () => true
+    } = options
+    if (typeof fn !== 'function') {
+      throw new TypeError('the function to retry is not a function')
+    }
+    if (backoff !== 'fixed' && backoff !== 'exponential') {
+      throw new TypeError(`unknown backoff: ${backoff}`)
     }
 
+    const delayOf = (attempt) => {
+      const computed = Math.min(backoff === 'exponential' ? delay * 2 ** (attempt - 1) : delay, maxDelay)
+      return jitter ? Math.random() * computed : computed
+    }
+
+    return new this((resolve, reject, onCancel) => {
+      let cancelled = false
+      let timer = null
+      let current = null
+
+      const run = (attempt) => {
+        let result
+        try {
+          result = this.resolve(fn(attempt))
+        } catch (e) {
+          result = this.reject(e)
+        }
+        current = result.then(resolve, (error) => {
+          if (cancelled) {
+            return
+          }
+          let again
+          try {
+            again = attempt <= retries && shouldRetry(error, attempt)
+          } catch (e) {
+            reject(e)
+            return
+          }
+          if (!again) {
+            reject(error)
+            return
+          }
+          timer = setTimeout(() => run(attempt + 1), delayOf(attempt))
+        })
+      }
+
+      if (typeof onCancel === 'function') {
+        onCancel((error) => {
+          cancelled = true
+          clearTimeout(timer)
+          if (current instanceof Promizen) {
+            current.cancel(error)
+          }
+        })
+      }
+      run(1)
+    })
+  }
+
+  /**
+   * Converts a function taking a Node-style callback as its last argument into a function returning a promizen.
+   *
+   * <p>
+   *  The returned function calls the original one with its arguments and a callback, the promizen it returns will be
+   *  {@linkcode REJECTED} with the error if the callback receives a truthy one, or {@linkcode FULFILLED} with the result otherwise.
+   *  The callback settles the promizen through the resolving functions of the executor, so a misbehaving function calling back
+   *  more than once can't settle the promizen twice, and an error thrown synchronously rejects the promizen.
+   * </p>
+   * <p>
+   *  If the function has a custom promisified version defined by <code>util.promisify.custom</code>, that version is used instead,
+   *  and its result is converted to a promizen, or a {@linkcode REJECTED} one if it throws synchronously.
+   * </p>
+   *
+   * @param {Function} fn - The function taking a Node-style callback.
+   * @param {Object} [options] - The options of the conversion.
+   * @param {boolean} [options.multiArgs=false] - Whether to fulfill with an array of all the results passed to the callback, instead of the first one.
+   * @param {*} [options.context] - The <code>this</code> to call the function with, the <code>this</code> of the returned function by default.
+   * @returns {function(...*): Promizen} The function returning a promizen.
+   * @throws {TypeError} Throws a TypeError if fn is not a function.
+   */
+  static promisify (fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('the function to promisify is not a function')
+    }
+    const { multiArgs = false, context } = options
+    const C = this
+    const custom = fn[PROMISIFY_CUSTOM]
+    if (typeof custom === 'function') {
+      return function (...args) {
+        try {
+          return C.resolve(custom.apply(context === undefined ? this : context, args))
+        } catch (e) {
+          return C.reject(e)
+        }
+      }
+    }
+    return function (...args) {
+      return new C((resolve, reject) => {
+        fn.call(context === undefined ? this : context, ...args, (error, ...results) => {
+          if (error) {
+            reject(error)
+            return
+          }
+          resolve(multiArgs ? results : results[0])
+        })
+      })
+    }
+  }
+
+  /**
+   * Adds a promisified version of every method of the object, see {@linkcode Promizen.promisify}.
+   *
+   * <p>
+   *  The methods are collected from the object and its prototype chain (except <code>Object.prototype</code>),
+   *  and the promisified versions are added to the object itself with the names suffixed, e.g. <code>readFileAsync</code>
+   *  for <code>readFile</code>. They call the original methods on the object they are called on.
+   *  The methods whose names already end with the suffix, and the names already taken, are skipped.
+   *  To promisify the instances of a class, pass its prototype.
+   * </p>
+   *
+   * @param {Object} target - The object whose methods are promisified.
+   * @param {Object} [options] - The options of the conversion.
+   * @param {string} [options.suffix='Async'] - The suffix of the names of the promisified methods.
+   * @param {boolean} [options.multiArgs=false] - Whether to fulfill with an array of all the results passed to the callback.
+   * @returns {Object} The target itself.
+   * @throws {TypeError} Throws a TypeError if the target is not an object.
+   */
+  static promisifyAll (target, options = {}) {
+    if (target === null || (typeof target !== 'object' && typeof target !== 'function')) {
+      throw new TypeError('the target to promisify is not an object')
+    }
+    const { suffix = 'Async', multiArgs = false } = options
+    const names = new Set()
+    for (let current = target; current !== null && current !== Object.prototype && current !== Function.prototype; current = Object.getPrototypeOf(current)) {
+      Object.getOwnPropertyNames(current).forEach((name) => {
+        const descriptor = Object.getOwnPropertyDescriptor(current, name)
+        if (name !== 'constructor' && typeof descriptor.value === 'function' && !name.endsWith(suffix)) {
+          names.add(name)
+        }
+      })
+    }
+    names.forEach((name) => {
+      const promisifiedName = `${name}${suffix}`
+      if (promisifiedName in target || typeof target[name] !== 'function') {
+        return
+      }
+      Object.defineProperty(target, promisifiedName, {
+        value: this.promisify(target[name], { multiArgs }),
+        configurable: true,
+        writable: true,
+        enumerable: false
+      })
+    })
+    return target
+  }
+
+  /**
+   * Creates a new promizen along with its resolving functions, just like <code>Promise.withResolvers</code> of ES2024.
+   *
+   * @returns {{promise: Promizen, resolve: Function, reject: Function}} The promizen and its resolving functions.
+   * @throws {TypeError} Throws a TypeError if the current constructor does not pass valid resolving functions to the executor.
+   */
+  static withResolvers () {
+    return newPromizenCapability(this)
+  }
+
+  /**
+   * Returns a promizen resolved with the given value, which is cancelled when the signal is aborted.
+   *
+   * <p>
+   *  If the value is a promizen, the cancellation is propagated to it unless it has other consumers,
+   *  so that an existing chain can be bound to a signal. That's also the case if the signal is already aborted,
+   *  though the returned promizen never gets to follow the value.
+   * </p>
+   *
+   * @param {AbortSignal} signal - The signal cancelling the promizen.
+   * @param {*} [value] - The value for the resolution.
+   * @returns {Promizen} A promizen resolved with the given value, or cancelled by the signal.
+   */
+  static withSignal (signal, value) {
+    const promizen = new this((resolve) => resolve(value), { signal })
+    if (signal !== undefined && signal !== null && signal.aborted && value instanceof Promizen && value.#consumers === 0) {
+      value.cancel(signal.reason)
+    }
+    return promizen
+  }
+
+  /**
+   * Makes the child promizen wait for the parent promizen, so that the cancellation of the child can be propagated to the parent.
+   *
+   * @param {Promizen} child - The promizen waiting for the parent.
+   * @param {Promizen} parent - The promizen being waited for.
+   * @returns {void}
+   */
+  static #link (child, parent) {
+    if (!(#upstream in child)) {
+      return
+    }
+    child.#upstream = parent
+    parent.#consumers++
+  }
+
+  /**
+   * Makes the child promizen no longer wait for its parent, which is used for the promizens derived internally.
+   *
+   * @param {Promizen} child - The promizen waiting for its parent.
+   * @returns {void}
+   */
+  static #unlink (child) {
+    if (Object(child) !== child || !(#upstream in child) || child.#upstream === null) {
+      return
+    }
+    child.#upstream.#consumers--
+    child.#upstream = null
+  }
+
+  /**
+   * Propagates the cancellation of the given promizen to the promizen it's waiting for, if that one has no other consumers.
+   *
+   * @param {Promizen} promizen - The promizen cancelled or abandoned.
+   * @param {*} error - The reason for the cancellation.
+   * @returns {void}
+   */
+  static #cancelUpstream (promizen, error) {
+    if (!(#upstream in promizen)) {
+      return
+    }
+    const upstream = promizen.#upstream
+    promizen.#upstream = null
+    if (upstream !== null && upstream.#state === PENDING && --upstream.#consumers === 0) {
+      upstream.cancel(error)
+    }
+  }
+
+  /**
+   * Checks whether the given promizen has been cancelled.
+   *
+   * @param {*} promizen - The promizen to check, which may be created by a species other than Promizen.
+   * @returns {boolean} Whether the promizen has been cancelled.
+   */
+  static #isCancelled (promizen) {
+    return #cancelled in promizen && promizen.#cancelled
+  }
+
+  /**
+   * Configures the debugging features of Promizen.
+   *
+   * <p>
+   *  With <code>longStackTraces</code> enabled, the call site is captured whenever a promizen is created by the constructor or <code>then</code>.
+   *  When an error passes through a chain as the reason of rejections, its stack is extended with the call sites of the chain,
+   *  so that it tells where the chain was built, and the noise frames inside Promizen are removed.
+   *  It's intended for debugging, as capturing the call sites is expensive, and it only affects the promizens created after it's enabled.
+   *  When disabled (the default), no call site is captured, and the stacks are left as they are.
+   * </p>
+   *
+   * @param {Object} [options] - The options to change, the omitted ones are left as they are.
+   * @param {boolean} [options.longStackTraces] - Whether to enable the long stack traces.
+   * @returns {{longStackTraces: boolean}} A copy of the current configuration.
+   */
+  static config (options = {}) {
+    if (options.longStackTraces !== undefined) {
+      Promizen.#config.longStackTraces = Boolean(options.longStackTraces)
+    }
+    return { ...Promizen.#config }
+  }
+
+  /**
+   * Sets the tracker reporting the rejections without handlers.
+   *
+   * <p>
+   *  When a promizen is {@linkcode REJECTED} without any handler, and still no handler is attached after the micro-task queue is drained,
+   *  the <code>unhandledRejection</code> of the tracker will be called with the reason and the promizen.
+   *  If a handler is attached to such a promizen later, the <code>rejectionHandled</code> of the tracker will be called with the promizen.
+   * </p>
+   * <p>
+   *  The default tracker emits the events of the same names on the <code>process</code> of Node,
+   *  so that they can be observed by <code>process.on('unhandledRejection', ...)</code> just like the native promises.
+   * </p>
+   *
+   * @param {{unhandledRejection: function(*, Promizen): void, rejectionHandled: function(Promizen): void}|null} tracker - The tracker, or null to restore the default one.
+   * @returns {void}
+   * @throws {TypeError} Throws a TypeError if the hooks of the tracker are not functions.
+   */
+  static setRejectionTracker (tracker) {
+    if (tracker === null || tracker === undefined) {
+      Promizen.#rejectionTracker = defaultRejectionTracker
+      return
+    }
+    if (typeof tracker.unhandledRejection !== 'function' || typeof tracker.rejectionHandled !== 'function') {
+      throw new TypeError('the hooks of the rejection tracker are not functions')
+    }
+    Promizen.#rejectionTracker = tracker
+  }
+
+  /**
+   * Sets the tracer receiving the events of the resolution, which is intended for debugging and visualizing the promizen graphs.
+   *
+   * <p>
+   *  The tracer is called synchronously with an event object, which has the <code>promizen</code> the event is about and its <code>id</code>,
+   *  and whose <code>type</code> is one of the following:
+   *  <ol style="list-style-type: none">
+   *    <li>1. <code>create</code>: the promizen is created, along with the <code>name</code> of its constructor.</li>
+   *    <li>2. <code>link</code>: <code>then</code> is called on the promizen, along with the ID of the derived promizen as <code>child</code>.</li>
+   *    <li>3. <code>adopt</code>: the promizen is resolved with a thenable, <code>via</code> tells the path taken by the resolution:
+   *      <code>promizen</code> follows the promizen whose ID is <code>target</code>, <code>thenable</code> assimilates a foreign thenable by its then method,
+   *      and <code>cycle</code> means the promizen is resolved with itself, which is about to be rejected.</li>
+   *    <li>4. <code>settle</code>: the promizen is settled, along with the <code>state</code>, the <code>value</code> or the <code>reason</code>,
+   *      and whether it's <code>cancelled</code> if rejected.</li>
+   *    <li>5. <code>handler</code>: a handler attached by <code>then</code> is run, along with the <code>child</code> and the <code>state</code> it's run for.</li>
+   *  </ol>
+   *  The IDs are positive integers given in the order the promizens first appear in the events, and never change.
+   *  Tracing only one chain is not supported, the tracer receives the events of all the promizens until it's unset,
+   *  and an error thrown from it is rethrown asynchronously. See {@linkcode Recorder} for the built-in tracer.
+   * </p>
+   *
+   * @param {function(Object): void|null} tracer - The tracer, or null to stop tracing.
+   * @returns {function(Object): void|null} The tracer replaced, or null if there was none.
+   * @throws {TypeError} Throws a TypeError if the tracer is not a function.
+   */
+  static setTracer (tracer) {
+    if (tracer !== null && tracer !== undefined && typeof tracer !== 'function') {
+      throw new TypeError('the tracer is not a function')
+    }
+    const previous = Promizen.#tracer
+    Promizen.#tracer = tracer === undefined ? null : tracer
+    return previous
+  }
+
+  /**
+   * Gets the ID of the promizen in the events of the tracing, giving it a new one if it has none yet.
+   *
+   * @param {Promizen} promizen - The promizen.
+   * @returns {number} The ID of the promizen.
+   */
+  static #traceIdOf (promizen) {
+    if (promizen.#traceId === 0) {
+      promizen.#traceId = ++Promizen.#lastTraceId
+    }
+    return promizen.#traceId
+  }
+
+  /**
+   * Emits an event of the tracing to the tracer, if any.
+   *
+   * @param {string} type - The type of the event.
+   * @param {Promizen} promizen - The promizen the event is about.
+   * @param {Object} details - The other properties of the event.
+   * @returns {void}
+   */
+  static #emit (type, promizen, details) {
+    const tracer = Promizen.#tracer
+    if (tracer === null) {
+      return
+    }
     try {
-      executor(resolve, reject)
+      tracer({ type, id: Promizen.#traceIdOf(promizen), promizen, ...details })
     } catch (e) {
-      reject(e)
+      scheduleMacrotask(() => { throw e })
+    }
+  }
+
+  /**
+   * Sets the scheduler deferring the handlers of the promizens created by the current constructor.
+   *
+   * <p>
+   *  A scheduler is a function receiving a task, it must run the task later, and the tasks must be run in the order they are scheduled.
+   *  The scheduler is looked up by the constructor of the promizen when <code>then</code> is called, so a subclass can have its own scheduler
+   *  by calling <code>SubPromizen.setScheduler</code>, and it inherits the scheduler of its parent class otherwise.
+   *  The built-in schedulers are available in {@linkcode Promizen.schedulers},
+   *  and {@linkcode Promizen.createManualScheduler} creates a scheduler which runs the tasks on demand.
+   * </p>
+   *
+   * @param {function(Function): void|null} scheduler - The scheduler, or null to restore the inherited one.
+   * @returns {void}
+   * @throws {TypeError} Throws a TypeError if the scheduler is not a function.
+   */
+  static setScheduler (scheduler) {
+    if (scheduler === null || scheduler === undefined) {
+      Promizen.#schedulers.delete(this)
+      return
+    }
+    if (typeof scheduler !== 'function') {
+      throw new TypeError('the scheduler is not a function')
+    }
+    Promizen.#schedulers.set(this, scheduler)
+  }
+
+  /**
+   * Creates a scheduler which runs the tasks only on demand, it's useful to step through the resolution deterministically in tests.
+   *
+   * <p>
+   *  The scheduler has the following methods:
+   *  <ol style="list-style-type: none">
+   *    <li>1. <code>tick()</code> runs the tasks scheduled so far, the tasks scheduled by them are left to the next tick.
+   *      It returns the number of tasks run.</li>
+   *    <li>2. <code>drain()</code> runs ticks until no task is left. It returns the number of tasks run.</li>
+   *  </ol>
+   *  And the <code>size</code> property is the number of tasks waiting to be run.
+   * </p>
+   *
+   * @returns {function(Function): void} The manual scheduler.
+   */
+  static createManualScheduler () {
+    let queue = []
+    const scheduler = (task) => {
+      queue.push(task)
+    }
+    scheduler.tick = () => {
+      const tasks = queue
+      queue = []
+      tasks.forEach((task) => task())
+      return tasks.length
+    }
+    scheduler.drain = () => {
+      let count = 0
+      while (queue.length > 0) {
+        count += scheduler.tick()
+      }
+      return count
+    }
+    Object.defineProperty(scheduler, 'size', { get: () => queue.length })
+    return scheduler
+  }
+
+  /**
+   * Looks up the scheduler of the given constructor through its prototype chain, falling back to the micro-task scheduler.
+   *
+   * @param {Function} C - The constructor of the promizen.
+   * @returns {function(Function): void} The scheduler.
+   */
+  static #schedulerOf (C) {
+    for (let current = C; typeof current === 'function'; current = Object.getPrototypeOf(current)) {
+      const scheduler = Promizen.#schedulers.get(current)
+      if (scheduler !== undefined) {
+        return scheduler
+      }
+    }
+    return schedulers.microtask
+  }
+
+  /**
+   * Tracks the promizen rejected without handlers, the check is deferred to the macro-task queue,
+   * so that the handlers attached in the current micro-task turn are taken into account.
+   *
+   * @param {Promizen} promizen - The promizen rejected without handlers.
+   * @returns {void}
+   */
+  static #trackUnhandledRejection (promizen) {
+    if (Promizen.#unhandledRejections.size === 0) {
+      scheduleMacrotask(() => Promizen.#reportUnhandledRejections())
+    }
+    Promizen.#unhandledRejections.add(promizen)
+  }
+
+  /**
+   * Reports the tracked promizens which still have no handlers to the rejection tracker.
+   *
+   * @returns {void}
+   */
+  static #reportUnhandledRejections () {
+    const promizens = [...Promizen.#unhandledRejections]
+    Promizen.#unhandledRejections.clear()
+    promizens.forEach((promizen) => {
+      if (promizen.#handled) {
+        return
+      }
+      promizen.#unhandledReported = true
+      Promizen.#callRejectionTracker('unhandledRejection', promizen.#reason, promizen)
+    })
+  }
+
+  /**
+   * Calls the hook of the rejection tracker, an error thrown from it is rethrown asynchronously,
+   * so that neither attaching a handler nor reporting the other rejections is broken by the tracker.
+   *
+   * @param {string} hook - The name of the hook, <code>unhandledRejection</code> or <code>rejectionHandled</code>.
+   * @param {...*} args - The arguments of the hook.
+   * @returns {void}
+   */
+  static #callRejectionTracker (hook, ...args) {
+    try {
+      Promizen.#rejectionTracker[hook](...args)
+    } catch (e) {
+      scheduleMacrotask(() => { throw e })
+    }
+  }
+
+  /**
+   * Returns a promizen resolved with the given value.
+   *
+   * <p>
+   *  If the value is a promizen whose constructor is the current constructor, the value itself will be returned.
+   *  Otherwise, a new promizen will be created and resolved with the value, so that thenables are assimilated
+   *  through the same resolution procedure as the executor's resolve.
+   * </p>
+   *
+   * @param {*} value - The value for the resolution.
+   * @returns {Promizen} A promizen resolved with the given value.
+   */
+  static resolve (value) {
+    if (value instanceof Promizen && value.constructor === this) {
+      return value
+    }
+    return new this((resolve) => resolve(value))
+  }
+
+  /**
+   * Returns a promizen {@linkcode REJECTED} with the given reason.
+   *
+   * @param {*} reason - The reason for the rejection.
+   * @returns {Promizen} A promizen rejected with the given reason.
+   */
+  static reject (reason) {
+    return new this((_, reject) => reject(reason))
+  }
+
+  /**
+   * Waits for all elements of the iterable to be fulfilled.
+   *
+   * <p>
+   *  Every element is passed through {@linkcode Promizen.resolve}, so plain values, promizens and thenables are all accepted.
+   *  The returned promizen will be {@linkcode FULFILLED} with an array of the values in the iteration order,
+   *  or {@linkcode REJECTED} with the reason of the first element that is rejected.
+   * </p>
+   *
+   * @param {Iterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @returns {Promizen} A promizen fulfilled with the array of values, or rejected with the first reason.
+   */
+  static all (iterable) {
+    return new this((resolve, reject) => {
+      const values = []
+      let remaining = 1
+      let index = 0
+      for (const item of iterable) {
+        const current = index++
+        values[current] = undefined
+        remaining++
+        this.resolve(item).then((value) => {
+          values[current] = value
+          if (--remaining === 0) {
+            resolve(values)
+          }
+        }, reject)
+      }
+      if (--remaining === 0) {
+        resolve(values)
+      }
+    })
+  }
+
+  /**
+   * Waits for all elements of the iterable to be settled.
+   *
+   * <p>
+   *  The returned promizen is never rejected by the elements, it will be {@linkcode FULFILLED} with an array of objects
+   *  describing the outcome of each element in the iteration order, either <code>{ status: 'fulfilled', value }</code>
+   *  or <code>{ status: 'rejected', reason }</code>.
+   * </p>
+   *
+   * @param {Iterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @returns {Promizen} A promizen fulfilled with the array of outcome objects.
+   */
+  static allSettled (iterable) {
+    return new this((resolve) => {
+      const results = []
+      let remaining = 1
+      let index = 0
+      const settle = (current, result) => {
+        results[current] = result
+        if (--remaining === 0) {
+          resolve(results)
+        }
+      }
+      for (const item of iterable) {
+        const current = index++
+        results[current] = undefined
+        remaining++
+        this.resolve(item).then(
+          (value) => settle(current, { status: FULFILLED, value }),
+          (reason) => settle(current, { status: REJECTED, reason })
+        )
+      }
+      if (--remaining === 0) {
+        resolve(results)
+      }
+    })
+  }
+
+  /**
+   * Settles as soon as any element of the iterable is settled.
+   *
+   * <p>
+   *  The returned promizen adopts the state of the first element that is settled.
+   *  If the iterable is empty, the returned promizen stays {@linkcode PENDING} forever.
+   * </p>
+   *
+   * @param {Iterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @returns {Promizen} A promizen settled in the same way as the first settled element.
+   */
+  static race (iterable) {
+    return new this((resolve, reject) => {
+      for (const item of iterable) {
+        this.resolve(item).then(resolve, reject)
+      }
+    })
+  }
+
+  /**
+   * Waits for any element of the iterable to be fulfilled.
+   *
+   * <p>
+   *  The returned promizen will be {@linkcode FULFILLED} with the value of the first element that is fulfilled.
+   *  If all elements are rejected, or the iterable is empty, it will be {@linkcode REJECTED} with an <code>AggregateError</code>
+   *  whose <code>errors</code> holds the reasons in the iteration order.
+   * </p>
+   *
+   * @param {Iterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @returns {Promizen} A promizen fulfilled with the first value, or rejected with an AggregateError.
+   */
+  static any (iterable) {
+    return new this((resolve, reject) => {
+      const errors = []
+      let remaining = 1
+      let index = 0
+      const rejectAll = () => reject(new AggregateError(errors, 'all promizens were rejected'))
+      for (const item of iterable) {
+        const current = index++
+        errors[current] = undefined
+        remaining++
+        this.resolve(item).then(resolve, (reason) => {
+          errors[current] = reason
+          if (--remaining === 0) {
+            rejectAll()
+          }
+        })
+      }
+      if (--remaining === 0) {
+        rejectAll()
+      }
+    })
+  }
+
+  /**
+   * Maps the elements of the iterable by the mapper, running at most the given number of mappers at the same time.
+   *
+   * <p>
+   *  The iterable can be a synchronous or an asynchronous iterable, and its elements can be values, promizens or thenables.
+   *  The elements are pulled lazily, each element is resolved first and then passed to the mapper along with its index,
+   *  and the mapper may return a value, a promizen or a thenable.
+   * </p>
+   * <p>
+   *  The returned promizen will be {@linkcode FULFILLED} with an array of the mapped values in the iteration order,
+   *  or {@linkcode REJECTED} with the first error from the iteration, the elements or the mapper.
+   *  Once rejected or cancelled, no more elements are pulled and no more mappers are called, and the iterator is closed.
+   * </p>
+   *
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, number): *} mapper - The function mapping the value and the index of an element.
+   * @param {Object} [options] - The options of the mapping.
+   * @param {number} [options.concurrency=Infinity] - The maximum number of mappers running at the same time.
+   * @returns {Promizen} A promizen fulfilled with the array of mapped values, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the mapper is not a function or the concurrency is not a positive integer.
+   */
+  static map (iterable, mapper, options = {}) {
+    const { concurrency = Infinity } = options
+    if (typeof mapper !== 'function') {
+      throw new TypeError('the mapper is not a function')
+    }
+    if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('the concurrency is not a positive integer')
+    }
+    return Promizen.#mapIterable(this, iterable, mapper, concurrency)
+  }
+
+  /**
+   * Maps the elements of the iterable by the mapper one by one, just like {@linkcode Promizen.map} with the concurrency of 1.
+   *
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, number): *} mapper - The function mapping the value and the index of an element.
+   * @returns {Promizen} A promizen fulfilled with the array of mapped values, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the mapper is not a function.
+   */
+  static mapSeries (iterable, mapper) {
+    return this.map(iterable, mapper, { concurrency: 1 })
+  }
+
+  /**
+   * Filters the elements of the iterable by the predicate, running at most the given number of predicates at the same time.
+   *
+   * <p>
+   *  The predicate may return a promizen or a thenable of the boolean, see {@linkcode Promizen.map} for the handling of the iterable.
+   *  The returned promizen will be {@linkcode FULFILLED} with an array of the resolved elements passing the predicate in the iteration order.
+   * </p>
+   *
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, number): *} predicate - The function testing the value and the index of an element.
+   * @param {Object} [options] - The options of the filtering.
+   * @param {number} [options.concurrency=Infinity] - The maximum number of predicates running at the same time.
+   * @returns {Promizen} A promizen fulfilled with the array of values passing the predicate, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the predicate is not a function or the concurrency is not a positive integer.
+   */
+  static filter (iterable, predicate, options = {}) {
+    if (typeof predicate !== 'function') {
+      throw new TypeError('the predicate is not a function')
+    }
+    return this.map(
+      iterable,
+      (value, index) => this.resolve(predicate(value, index)).then((passed) => ({ value, passed })),
+      options
+    ).then((results) => results.filter(({ passed }) => passed).map(({ value }) => value))
+  }
+
+  /**
+   * Reduces the elements of the iterable to a single value by the reducer, one by one in the iteration order.
+   *
+   * <p>
+   *  The reducer is called with the accumulator, the value and the index of an element, and may return a promizen or a thenable,
+   *  which is resolved before being passed to the next call. The initial value is resolved as well. If it's omitted,
+   *  the first element is used as the initial value, and the returned promizen will be {@linkcode REJECTED} with a TypeError
+   *  for an empty iterable, just like <code>Array.prototype.reduce</code>.
+   * </p>
+   *
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, *, number): *} reducer - The function reducing the accumulator and the value and the index of an element.
+   * @param {*} [initialValue] - The initial value of the accumulator.
+   * @returns {Promizen} A promizen fulfilled with the final accumulator, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the reducer is not a function.
+   */
+  static reduce (iterable, reducer, initialValue) {
+    if (typeof reducer !== 'function') {
+      throw new TypeError('the reducer is not a function')
+    }
+    const hasInitialValue = arguments.length >= 3
+    return this.resolve(initialValue).then((initial) => {
+      let accumulator = initial
+      let initialized = hasInitialValue
+      return this.mapSeries(iterable, (value, index) => {
+        if (!initialized) {
+          accumulator = value
+          initialized = true
+          return
+        }
+        return this.resolve(reducer(accumulator, value, index)).then((result) => {
+          accumulator = result
+        })
+      }).then(() => {
+        if (!initialized) {
+          throw new TypeError('reduce of an empty iterable with no initial value')
+        }
+        return accumulator
+      })
+    })
+  }
+
+  /**
+   * Calls the iteratee for the elements of the iterable one by one in the iteration order, for the side effects.
+   *
+   * <p>
+   *  The iteratee may return a promizen or a thenable, which is waited for before the next element is pulled, and its value is ignored.
+   *  The returned promizen will be {@linkcode FULFILLED} with an array of the resolved elements.
+   * </p>
+   *
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, number): *} iteratee - The function called with the value and the index of an element.
+   * @returns {Promizen} A promizen fulfilled with the array of resolved elements, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the iteratee is not a function.
+   */
+  static each (iterable, iteratee) {
+    if (typeof iteratee !== 'function') {
+      throw new TypeError('the iteratee is not a function')
     }
+    return this.mapSeries(iterable, (value, index) => this.resolve(iteratee(value, index)).then(() => value))
+  }
+
+  /**
+   * Returns a promizen settled by the next event of the emitter.
+   *
+   * <p>
+   *  Both the Node <code>EventEmitter</code> (with <code>on</code> and <code>removeListener</code>) and the DOM-style
+   *  <code>EventTarget</code> (with <code>addEventListener</code> and <code>removeEventListener</code>) are supported.
+   *  The returned promizen will be resolved with the first argument of the listener (the event object for an EventTarget)
+   *  when the event is emitted and passes the filter, or rejected with the first argument when any of the rejectOn events is emitted.
+   *  The value goes through the resolution procedure, so a thenable emitted is assimilated.
+   * </p>
+   * <p>
+   *  All the listeners are removed as soon as the promizen is settled, or cancelled by {@linkcode Promizen#cancel} or the signal.
+   * </p>
+   *
+   * @param {EventEmitter|EventTarget} emitter - The emitter of the event.
+   * @param {string|symbol} name - The name of the event.
+   * @param {Object} [options] - The options of the listening.
+   * @param {string|Array<string>} [options.rejectOn] - The events rejecting the promizen, <code>'error'</code> for an EventEmitter and none for an EventTarget by default.
+   * @param {AbortSignal} [options.signal] - The signal cancelling the promizen and removing the listeners.
+   * @param {function(...*): boolean} [options.filter] - Decides whether an event settles the promizen, receiving the arguments of the listener.
+   * @returns {Promizen} A promizen resolved with the event, or rejected with the error event.
+   * @throws {TypeError} Throws a TypeError if the emitter is neither an EventEmitter nor an EventTarget, or the filter is not a function.
+   */
+  static fromEvent (emitter, name, options = {}) {
+    const { signal, filter } = options
+    const isEventTarget = emitter !== null && typeof emitter === 'object' &&
+      typeof emitter.addEventListener === 'function' && typeof emitter.removeEventListener === 'function'
+    const isEventEmitter = emitter !== null && typeof emitter === 'object' &&
+      typeof emitter.on === 'function' && typeof emitter.removeListener === 'function'
+    if (!isEventTarget && !isEventEmitter) {
+      throw new TypeError('the emitter is neither an EventEmitter nor an EventTarget')
+    }
+    if (filter !== undefined && typeof filter !== 'function') {
+      throw new TypeError('the filter is not a function')
+    }
+    const { rejectOn = isEventEmitter ? 'error' : [] } = options
+    const rejectEvents = Array.isArray(rejectOn) ? rejectOn : [rejectOn]
+
+    const listen = (event, listener) => {
+      if (isEventEmitter) {
+        emitter.on(event, listener)
+        return () => emitter.removeListener(event, listener)
+      }
+      emitter.addEventListener(event, listener)
+      return () => emitter.removeEventListener(event, listener)
+    }
+
+    return new this((resolve, reject, onCancel) => {
+      const removers = []
+      const removeListeners = () => {
+        removers.splice(0).forEach((remove) => remove())
+      }
+      removers.push(listen(name, (...args) => {
+        try {
+          if (filter !== undefined && !filter(...args)) {
+            return
+          }
+        } catch (e) {
+          removeListeners()
+          reject(e)
+          return
+        }
+        removeListeners()
+        resolve(args[0])
+      }))
+      rejectEvents.forEach((event) => {
+        removers.push(listen(event, (error) => {
+          removeListeners()
+          reject(error)
+        }))
+      })
+      if (typeof onCancel === 'function') {
+        onCancel(removeListeners)
+      }
+    }, { signal })
+  }
+
+  /**
+   * Consumes an async iterator (or any iterable) by the handler, with backpressure.
+   *
+   * <p>
+   *  The next item is not pulled from the iterator until a handler slot is free, i.e. with the default concurrency of 1,
+   *  until the promizen or thenable returned by the handler of the previous item is settled. So a stream is consumed
+   *  no faster than it's handled. Unlike {@linkcode Promizen.map}, the results of the handler are not collected,
+   *  so that endless iterators can be consumed.
+   * </p>
+   * <p>
+   *  The returned promizen will be {@linkcode FULFILLED} with undefined when the iterator is exhausted,
+   *  or {@linkcode REJECTED} with the first error from the iterator or the handler. Once rejected or cancelled,
+   *  no more items are pulled, and the iterator is closed by its <code>return</code> method.
+   *  If the signal is already aborted, the iterator is not touched at all.
+   * </p>
+   *
+   * @param {AsyncIterator<*>|AsyncIterable<*>|Iterable<*>} iterator - The iterator to consume, an object with the <code>next</code> method or an iterable.
+   * @param {function(*, number): *} handler - The function handling the value and the index of an item.
+   * @param {Object} [options] - The options of the consumption.
+   * @param {number} [options.concurrency=1] - The maximum number of handlers running at the same time.
+   * @param {AbortSignal} [options.signal] - The signal cancelling the consumption.
+   * @returns {Promizen} A promizen fulfilled when the iterator is exhausted, or rejected with the first error.
+   * @throws {TypeError} Throws a TypeError if the handler is not a function or the concurrency is not a positive integer.
+   */
+  static fromAsyncIterator (iterator, handler, options = {}) {
+    const { concurrency = 1, signal } = options
+    if (typeof handler !== 'function') {
+      throw new TypeError('the handler is not a function')
+    }
+    if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('the concurrency is not a positive integer')
+    }
+    const iterable = iterator !== null && typeof iterator === 'object' && typeof iterator.next === 'function' &&
+      typeof iterator[Symbol.asyncIterator] !== 'function' && typeof iterator[Symbol.iterator] !== 'function'
+      ? { [Symbol.asyncIterator]: () => iterator }
+      : iterator
+    if (signal !== undefined && signal !== null && signal.aborted) {
+      return this.withSignal(signal)
+    }
+    const consumed = Promizen.#mapIterable(this, iterable, handler, concurrency, false)
+    return signal === undefined ? consumed : this.withSignal(signal, consumed)
+  }
+
+  /**
+   * Maps the elements of the iterable with the limited concurrency, which is shared by the collection helpers.
+   *
+   * <p>
+   *  The elements are pulled one at a time, and a new element is pulled only when a mapper slot is free,
+   *  so that lazy and asynchronous iterables are consumed with backpressure.
+   *  The thenables in an array or a set already exist though, so they are resolved and observed by a no-op rejection handler up front,
+   *  as they would be by <code>Promizen.all</code>, so that a rejection waiting for its turn is not reported as unhandled.
+   * </p>
+   *
+   * @param {Function} C - The constructor of the returned promizen.
+   * @param {Iterable<*>|AsyncIterable<*>} iterable - An iterable of values, promizens or thenables.
+   * @param {function(*, number): *} mapper - The function mapping the value and the index of an element.
+   * @param {number} concurrency - The maximum number of mappers running at the same time.
+   * @param {boolean} [collect=true] - Whether to collect the mapped values, which is unnecessary for the endless iterables.
+   * @returns {Promizen} A promizen fulfilled with the array of mapped values (or undefined if not collected), or rejected with the first error.
+   */
+  static #mapIterable (C, iterable, mapper, concurrency, collect = true) {
+    return new C((resolve, reject, onCancel) => {
+      const results = collect ? [] : undefined
+      let iterator = null
+      let index = 0
+      let active = 0
+      let pulling = false
+      let done = false
+      let stopped = false
+
+      const stop = () => {
+        stopped = true
+        if (iterator !== null && typeof iterator.return === 'function') {
+          try {
+            C.resolve(iterator.return()).then(null, () => {})
+          } catch (e) {
+            // the error from closing the iterator is ignored, as the iteration is already over
+          }
+        }
+      }
+
+      const fail = (error) => {
+        if (stopped) {
+          return
+        }
+        stop()
+        reject(error)
+      }
+
+      const next = () => {
+        if (stopped || pulling || done || active >= concurrency) {
+          return
+        }
+        pulling = true
+        let step
+        try {
+          step = C.resolve(iterator.next())
+        } catch (e) {
+          fail(e)
+          return
+        }
+        step.then((result) => {
+          pulling = false
+          if (stopped) {
+            return
+          }
+          if (result === null || typeof result !== 'object') {
+            throw new TypeError('the iterator result is not an object')
+          }
+          if (result.done) {
+            done = true
+            if (active === 0) {
+              resolve(results)
+            }
+            return
+          }
+          const current = index++
+          if (collect) {
+            results[current] = undefined
+          }
+          active++
+          C.resolve(result.value)
+            .then((value) => stopped ? undefined : mapper(value, current))
+            .then((mapped) => {
+              if (collect) {
+                results[current] = mapped
+              }
+              active--
+              if (done && active === 0) {
+                resolve(results)
+              }
+              next()
+            }, fail)
+          next()
+        }).then(null, fail)
+      }
+
+      if (Array.isArray(iterable) || iterable instanceof Set) {
+        iterable = [...iterable].map((element) => {
+          if (element === null || (typeof element !== 'object' && typeof element !== 'function') || typeof element.then !== 'function') {
+            return element
+          }
+          const promizen = C.resolve(element)
+          Promizen.#unlink(promizen.then(undefined, () => {}))
+          return promizen
+        })
+      }
+
+      try {
+        if (iterable !== null && iterable !== undefined && typeof iterable[Symbol.asyncIterator] === 'function') {
+          iterator = iterable[Symbol.asyncIterator]()
+        } else {
+          iterator = iterable[Symbol.iterator]()
+        }
+      } catch (e) {
+        reject(new TypeError('the argument is not an iterable nor an async iterable', { cause: e }))
+        return
+      }
+
+      if (typeof onCancel === 'function') {
+        onCancel(() => stop())
+      }
+      next()
+    })
   }
 }
 
@@ -0,0 +1,248 @@
+'use strict'
+
+/**
+ * @file Queue: runs the tasks added to it with limited concurrency, in the order of their priorities.
+ * @author galaxyzen
+ */
+
+const Promizen = require('./promizen')
+
+class Queue {
+  /**
+   * The maximum number of tasks running at the same time.
+   *
+   * @type {number}
+   */
+  #concurrency
+
+  /**
+   * Whether the queue is paused, i.e. no more tasks are started.
+   *
+   * @type {boolean}
+   */
+  #paused
+
+  /**
+   * The tasks waiting to be started, in descending order of their priorities, and FIFO order for the same priority.
+   *
+   * @type {Array<{priority: number, run: Function}>}
+   */
+  #tasks = []
+
+  /**
+   * The number of tasks running.
+   *
+   * @type {number}
+   */
+  #running = 0
+
+  /**
+   * The waiters for the queue to be empty.
+   *
+   * @type {Array<Function>}
+   */
+  #emptyWaiters = []
+
+  /**
+   * The waiters for the queue to be idle.
+   *
+   * @type {Array<Function>}
+   */
+  #idleWaiters = []
+
+  /**
+   * Creates a new Queue instance.
+   *
+   * @class
+   * @param {Object} [options] - The options of the queue.
+   * @param {number} [options.concurrency=Infinity] - The maximum number of tasks running at the same time.
+   * @param {boolean} [options.autoStart=true] - Whether to start the tasks as soon as they are added, otherwise the queue is paused until {@linkcode Queue#resume} is called.
+   * @throws {TypeError} Throws a TypeError if the concurrency is not a positive integer.
+   */
+  constructor (options = {}) {
+    const { concurrency = Infinity, autoStart = true } = options
+    if (concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('the concurrency is not a positive integer')
+    }
+    this.#concurrency = concurrency
+    this.#paused = !autoStart
+  }
+
+  /**
+   * The number of tasks waiting to be started.
+   *
+   * @type {number}
+   */
+  get size () {
+    return this.#tasks.length
+  }
+
+  /**
+   * The number of tasks running.
+   *
+   * @type {number}
+   */
+  get pending () {
+    return this.#running
+  }
+
+  /**
+   * Checks whether the queue is paused.
+   *
+   * @returns {boolean} Whether the queue is paused.
+   */
+  isPaused () {
+    return this.#paused
+  }
+
+  /**
+   * Adds a task to the queue.
+   *
+   * <p>
+   *  The task is started when the queue is not paused and a slot is free, the tasks with higher priorities are started first,
+   *  and the tasks with the same priority are started in the order they are added. The returned promizen follows the result of the task.
+   * </p>
+   * <p>
+   *  A task waiting to be started can be given up on by the signal or by cancelling the returned promizen, it's then removed from the queue
+   *  and the returned promizen is rejected with a {@linkcode Promizen.AbortError}. A running task keeps its slot until it's settled.
+   * </p>
+   *
+   * @param {Function} fn - The task, which may return a value, a promizen or a thenable.
+   * @param {Object} [options] - The options of the task.
+   * @param {number} [options.priority=0] - The priority of the task.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the task.
+   * @returns {Promizen} A promizen settled in the same way as the task.
+   * @throws {TypeError} Throws a TypeError if the task is not a function.
+   */
+  add (fn, options = {}) {
+    const { priority = 0, signal } = options
+    if (typeof fn !== 'function') {
+      throw new TypeError('the task is not a function')
+    }
+    return new Promizen((resolve, reject, onCancel) => {
+      const task = {
+        priority,
+        run: () => {
+          this.#running++
+          let result
+          try {
+            result = Promizen.resolve(fn())
+          } catch (e) {
+            result = Promizen.reject(e)
+          }
+          resolve(result)
+          const done = () => {
+            this.#running--
+            this.#next()
+          }
+          result.then(done, done)
+        }
+      }
+      const index = this.#tasks.findIndex((queued) => queued.priority < priority)
+      this.#tasks.splice(index === -1 ? this.#tasks.length : index, 0, task)
+      onCancel(() => {
+        const index = this.#tasks.indexOf(task)
+        if (index !== -1) {
+          this.#tasks.splice(index, 1)
+          this.#notify()
+        }
+      })
+      this.#next()
+    }, { signal })
+  }
+
+  /**
+   * Pauses the queue, the running tasks are not affected but no more tasks are started.
+   *
+   * @returns {void}
+   */
+  pause () {
+    this.#paused = true
+  }
+
+  /**
+   * Resumes the queue, the waiting tasks are started as the concurrency allows.
+   *
+   * @returns {void}
+   */
+  resume () {
+    this.#paused = false
+    this.#next()
+  }
+
+  /**
+   * Waits for the queue to be empty, i.e. all the tasks are started, though some of them may be still running.
+   *
+   * @param {Object} [options] - The options of the waiting.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the waiting.
+   * @returns {Promizen} A promizen fulfilled when the queue is empty.
+   */
+  onEmpty (options = {}) {
+    return this.#wait(this.#emptyWaiters, () => this.#tasks.length === 0, options)
+  }
+
+  /**
+   * Waits for the queue to be idle, i.e. the queue is empty and no task is running.
+   *
+   * @param {Object} [options] - The options of the waiting.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the waiting.
+   * @returns {Promizen} A promizen fulfilled when the queue is idle.
+   */
+  onIdle (options = {}) {
+    return this.#wait(this.#idleWaiters, () => this.#tasks.length === 0 && this.#running === 0, options)
+  }
+
+  /**
+   * Adds a waiter to the given waiters unless the condition is already met.
+   *
+   * @param {Array<Function>} waiters - The waiters to add to.
+   * @param {function(): boolean} condition - The condition waited for.
+   * @param {Object} options - The options of the waiting.
+   * @returns {Promizen} A promizen fulfilled when the condition is met.
+   */
+  #wait (waiters, condition, options) {
+    const { signal } = options
+    return new Promizen((resolve, reject, onCancel) => {
+      if (condition()) {
+        resolve()
+        return
+      }
+      waiters.push(resolve)
+      onCancel(() => {
+        const index = waiters.indexOf(resolve)
+        if (index !== -1) {
+          waiters.splice(index, 1)
+        }
+      })
+    }, { signal })
+  }
+
+  /**
+   * Starts the waiting tasks as the concurrency allows, unless the queue is paused.
+   *
+   * @returns {void}
+   */
+  #next () {
+    while (!this.#paused && this.#running < this.#concurrency && this.#tasks.length > 0) {
+      this.#tasks.shift().run()
+    }
+    this.#notify()
+  }
+
+  /**
+   * Resolves the waiters whose conditions are met.
+   *
+   * @returns {void}
+   */
+  #notify () {
+    if (this.#tasks.length > 0) {
+      return
+    }
+    this.#emptyWaiters.splice(0).forEach((resolve) => resolve())
+    if (this.#running === 0) {
+      this.#idleWaiters.splice(0).forEach((resolve) => resolve())
+    }
+  }
+}
+
+module.exports = Queue
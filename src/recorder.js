@@ -0,0 +1,256 @@
+'use strict'
+
+/**
+ * @file Recorder: records the events of the resolution by {@linkcode Promizen.setTracer}, and turns them into a graph or a timeline.
+ * @author galaxyzen
+ */
+
+const Promizen = require('./promizen')
+
+/** @constant {number} LABEL_LIMIT - The maximum length of the values shown in the labels of the graph. */
+const LABEL_LIMIT = 32
+
+/**
+ * Describes the value in a short string, which can be put into a label or a JSON document whatever the value is.
+ *
+ * @param {*} value - The value to describe.
+ * @returns {string} The description of the value.
+ */
+const describe = (value) => {
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value)
+  }
+  if (typeof value === 'function') {
+    return `[Function ${value.name || 'anonymous'}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    if (Array.isArray(value)) {
+      return `Array(${value.length})`
+    }
+    const C = Object.getPrototypeOf(value) === null ? null : value.constructor
+    return `[object ${(typeof C === 'function' && C.name) || 'Object'}]`
+  }
+  return String(value)
+}
+
+/**
+ * Quotes the string as an ID or a label of the DOT language.
+ *
+ * @param {string} string - The string to quote.
+ * @returns {string} The quoted string.
+ */
+const quote = (string) => `"${string.replace(/[\\"]/g, (c) => `\\${c}`).replace(/\n/g, '\\n')}"`
+
+class Recorder {
+  /**
+   * The events recorded so far, in the order they are emitted.
+   *
+   * @type {Array<Object>}
+   */
+  #events = []
+
+  /**
+   * The IDs of the promizens appearing in the events, which are not kept in the events to let them be garbage collected.
+   *
+   * @type {WeakMap<Promizen, number>}
+   */
+  #ids = new WeakMap()
+
+  /**
+   * The tracer set to Promizen while recording, which appends the events with their sequence numbers and times.
+   *
+   * @type {function(Object): void}
+   */
+  #tracer = ({ promizen, ...event }) => {
+    this.#ids.set(promizen, event.id)
+    this.#events.push({ seq: this.#events.length, time: Date.now(), ...event })
+  }
+
+  /**
+   * Starts recording, replacing the tracer of Promizen if any.
+   *
+   * @returns {Recorder} The recorder itself.
+   */
+  start () {
+    Promizen.setTracer(this.#tracer)
+    return this
+  }
+
+  /**
+   * Stops recording, the events recorded so far are kept.
+   * The tracer of Promizen is left as it is if it has been replaced since the recording started.
+   *
+   * @returns {Recorder} The recorder itself.
+   */
+  stop () {
+    const tracer = Promizen.setTracer(null)
+    if (tracer !== this.#tracer) {
+      Promizen.setTracer(tracer)
+    }
+    return this
+  }
+
+  /**
+   * Forgets the events recorded so far.
+   *
+   * @returns {Recorder} The recorder itself.
+   */
+  clear () {
+    this.#events = []
+    this.#ids = new WeakMap()
+    return this
+  }
+
+  /**
+   * The events recorded so far, see {@linkcode Promizen.setTracer} for their properties, except the <code>promizen</code>.
+   * Besides, each event has a <code>seq</code> number starting from 0, and the <code>time</code> it's recorded.
+   *
+   * @type {Array<Object>}
+   */
+  get events () {
+    return this.#events.map((event) => ({ ...event }))
+  }
+
+  /**
+   * Gets the ID of the promizen in the events recorded so far.
+   *
+   * @param {Promizen} promizen - The promizen.
+   * @returns {number|null} The ID of the promizen, or null if it has not appeared in the events.
+   */
+  idOf (promizen) {
+    const id = this.#ids.get(promizen)
+    return id === undefined ? null : id
+  }
+
+  /**
+   * Collects the promizens appearing in the events, along with their final states.
+   *
+   * <p>
+   *  Each promizen is <code>{ id, name, state, value, reason, cancelled }</code>, and its name is null if it's created before the recording started.
+   *  A promizen still pending may be either waiting for a settlement or lost forever, it's up to the reader to tell.
+   * </p>
+   *
+   * @returns {Array<{id: number, name: string|null, state: string, value: *, reason: *, cancelled: boolean}>} The promizens, in the order of their IDs.
+   */
+  promizens () {
+    const promizens = new Map()
+    const promizenOf = (id) => {
+      if (!promizens.has(id)) {
+        promizens.set(id, { id, name: null, state: 'pending', value: undefined, reason: undefined, cancelled: false })
+      }
+      return promizens.get(id)
+    }
+    this.#events.forEach((event) => {
+      const promizen = promizenOf(event.id)
+      if (event.type === 'create') {
+        promizen.name = event.name
+      } else if (event.type === 'settle') {
+        promizen.state = event.state
+        promizen.value = event.value
+        promizen.reason = event.reason
+        promizen.cancelled = Boolean(event.cancelled)
+      } else if (event.type === 'link' && event.child !== null) {
+        promizenOf(event.child)
+      } else if (event.type === 'adopt' && event.target !== null) {
+        promizenOf(event.target)
+      }
+    })
+    return [...promizens.values()].sort((a, b) => a.id - b.id)
+  }
+
+  /**
+   * Gets the IDs of the promizens which have never been settled during the recording.
+   *
+   * @returns {Array<number>} The IDs of the unsettled promizens.
+   */
+  unsettled () {
+    return this.promizens().filter(({ state }) => state === 'pending').map(({ id }) => id)
+  }
+
+  /**
+   * Turns the recording into a JSON timeline, which is also used by <code>JSON.stringify(recorder)</code>.
+   *
+   * <p>The values and the reasons are replaced by their short descriptions, so that the timeline can always be serialized.</p>
+   *
+   * @returns {{promizens: Array<Object>, events: Array<Object>}} The promizens with their final states, and the events in order.
+   */
+  toJSON () {
+    const describeResult = (object) => {
+      const result = { ...object }
+      if ('value' in result) {
+        result.value = result.value === undefined ? undefined : describe(result.value)
+      }
+      if ('reason' in result) {
+        result.reason = result.reason === undefined ? undefined : describe(result.reason)
+      }
+      return result
+    }
+    return {
+      promizens: this.promizens().map(describeResult),
+      events: this.#events.map(describeResult)
+    }
+  }
+
+  /**
+   * Turns the recording into a graph in the DOT language of Graphviz.
+   *
+   * <p>
+   *  The promizens are the nodes, labeled with their IDs, names and final states, and the unsettled ones are dashed.
+   *  The edges follow the flow of the settlements:
+   *  <ol style="list-style-type: none">
+   *    <li>1. A <code>then</code> edge goes from a promizen to its derived promizen, and it's dotted if the handler has never been run.</li>
+   *    <li>2. An <code>adopt</code> edge goes from a promizen to the promizen resolved with it.</li>
+   *    <li>3. An <code>assimilate</code> edge goes from a foreign thenable to the promizen resolved with it.</li>
+   *    <li>4. A <code>cycle</code> edge goes from a promizen to itself, as it's resolved with itself.</li>
+   *  </ol>
+   * </p>
+   *
+   * @returns {string} The graph in the DOT language.
+   */
+  toDOT () {
+    const lines = ['digraph promizens {', '  node [shape=box, style=rounded];']
+    this.promizens().forEach(({ id, name, state, value, reason, cancelled }) => {
+      let label = `#${id} ${name === null ? '?' : name}\n${state}`
+      if (state === 'fulfilled') {
+        label += `: ${describe(value).slice(0, LABEL_LIMIT)}`
+      } else if (state === 'rejected') {
+        label += cancelled ? ' (cancelled)' : `: ${describe(reason).slice(0, LABEL_LIMIT)}`
+      }
+      const attributes = {
+        pending: ', style="rounded,dashed", color=orange',
+        fulfilled: ', color=darkgreen',
+        rejected: ', color=red'
+      }[state]
+      lines.push(`  p${id} [label=${quote(label)}${attributes}];`)
+    })
+
+    const handled = new Set()
+    this.#events.forEach((event) => {
+      if (event.type === 'handler') {
+        handled.add(`${event.id}:${event.child}`)
+      }
+    })
+    let thenables = 0
+    this.#events.forEach((event) => {
+      if (event.type === 'link' && event.child !== null) {
+        const style = handled.has(`${event.id}:${event.child}`) ? '' : ', style=dotted'
+        lines.push(`  p${event.id} -> p${event.child} [label="then"${style}];`)
+      } else if (event.type === 'adopt' && event.via === 'promizen') {
+        lines.push(`  p${event.target} -> p${event.id} [label="adopt", style=dashed];`)
+      } else if (event.type === 'adopt' && event.via === 'thenable') {
+        thenables++
+        lines.push(`  t${thenables} [label="thenable", shape=ellipse];`)
+        lines.push(`  t${thenables} -> p${event.id} [label="assimilate", style=dashed];`)
+      } else if (event.type === 'adopt' && event.via === 'cycle') {
+        lines.push(`  p${event.id} -> p${event.id} [label="cycle", color=red];`)
+      }
+    })
+    lines.push('}')
+    return lines.join('\n')
+  }
+}
+
+module.exports = Recorder
@@ -0,0 +1,164 @@
+'use strict'
+
+/**
+ * @file Semaphore: limits the number of holders of a shared resource, with the waiters served in FIFO order.
+ * @author galaxyzen
+ */
+
+const Promizen = require('./promizen')
+
+class Semaphore {
+  /**
+   * The number of permits not held by anyone.
+   *
+   * @type {number}
+   */
+  #permits
+
+  /**
+   * The waiters for a permit in FIFO order, each of which grants the permit to its promizen.
+   *
+   * @type {Array<{grant: Function}>}
+   */
+  #waiters = []
+
+  /**
+   * Creates a new Semaphore instance.
+   *
+   * @class
+   * @param {number} permits - The number of permits, i.e. the maximum number of holders at the same time.
+   * @throws {TypeError} Throws a TypeError if the permits is not a positive integer.
+   */
+  constructor (permits) {
+    if (!(Number.isInteger(permits) && permits > 0)) {
+      throw new TypeError('the permits is not a positive integer')
+    }
+    this.#permits = permits
+  }
+
+  /**
+   * The number of permits not held by anyone.
+   *
+   * @type {number}
+   */
+  get available () {
+    return this.#permits
+  }
+
+  /**
+   * The number of waiters for a permit.
+   *
+   * @type {number}
+   */
+  get waiting () {
+    return this.#waiters.length
+  }
+
+  /**
+   * Acquires a permit.
+   *
+   * <p>
+   *  The returned promizen will be fulfilled with the release function of the permit, once a permit is available.
+   *  The waiters are served in FIFO order: a released permit is handed to the first waiter directly,
+   *  and a new acquisition never takes a permit ahead of the existing waiters.
+   *  The release function can be called more than once, but only the first call takes effect.
+   * </p>
+   * <p>
+   *  A waiter can be given up on by the signal or by cancelling the returned promizen, it's then removed from the waiters
+   *  and rejected with an {@linkcode Promizen.AbortError}, so the permit goes to the next waiter.
+   * </p>
+   *
+   * @param {Object} [options] - The options of the acquisition.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the acquisition.
+   * @returns {Promizen} A promizen fulfilled with the release function.
+   */
+  acquire (options = {}) {
+    const { signal } = options
+    return new Promizen((resolve, reject, onCancel) => {
+      if (this.#permits > 0 && this.#waiters.length === 0) {
+        this.#permits--
+        resolve(this.#createRelease())
+        return
+      }
+      const waiter = { grant: () => resolve(this.#createRelease()) }
+      this.#waiters.push(waiter)
+      onCancel(() => {
+        const index = this.#waiters.indexOf(waiter)
+        if (index !== -1) {
+          this.#waiters.splice(index, 1)
+        }
+      })
+    }, { signal })
+  }
+
+  /**
+   * Acquires a permit if it's available right now, without waiting.
+   *
+   * @returns {Function|null} The release function of the permit, or null if no permit is available.
+   */
+  tryAcquire () {
+    if (this.#permits > 0 && this.#waiters.length === 0) {
+      this.#permits--
+      return this.#createRelease()
+    }
+    return null
+  }
+
+  /**
+   * Calls the function while holding a permit, the permit is released when the function is settled.
+   *
+   * <p>
+   *  If the returned promizen is cancelled while waiting, the acquisition is given up on. If it's cancelled once the permit is granted,
+   *  the function is not called when it has not been yet, and the permit is released right away rather than lost.
+   * </p>
+   *
+   * @param {Function} fn - The function to call, which may return a value, a promizen or a thenable.
+   * @param {Object} [options] - The options of the acquisition.
+   * @param {AbortSignal} [options.signal] - The signal giving up on the acquisition.
+   * @returns {Promizen} A promizen settled in the same way as the function.
+   */
+  use (fn, options) {
+    return new Promizen((resolve, reject, onCancel) => {
+      const acquisition = this.acquire(options)
+      let granted = false
+      let cancelled = false
+      onCancel(() => {
+        cancelled = true
+        if (!granted) {
+          acquisition.cancel()
+        }
+      })
+      acquisition.then((release) => {
+        granted = true
+        if (cancelled) {
+          release()
+          return
+        }
+        new Promizen((resolve) => resolve(fn())).finally(release).then(resolve, reject)
+      }, reject)
+    })
+  }
+
+  /**
+   * Creates the release function of a permit, which hands the permit to the first waiter if any.
+   *
+   * @returns {Function} The release function.
+   */
+  #createRelease () {
+    let released = false
+    return () => {
+      if (released) {
+        return
+      }
+      released = true
+      const waiter = this.#waiters.shift()
+      if (waiter !== undefined) {
+        waiter.grant()
+      } else {
+        this.#permits++
+      }
+    }
+  }
+}
+
+module.exports = Semaphore
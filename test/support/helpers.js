@@ -0,0 +1,65 @@
+'use strict'
+
+/**
+ * @file The helpers shared by the test suites.
+ * @author galaxyzen
+ */
+
+const Promizen = require('../../index')
+
+/**
+ * Waits for the given time by a native promise, which doesn't appear in the promizen graphs.
+ *
+ * @param {number} ms - The time in milliseconds.
+ * @returns {Promise<void>} A promise fulfilled after the given time.
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Waits for the promizen to be settled, without rejecting.
+ *
+ * @param {Promizen} promizen - The promizen to wait for.
+ * @returns {Promizen} A promizen fulfilled with the <code>allSettled</code> result of the promizen.
+ */
+const settled = (promizen) => Promizen.allSettled([promizen]).then(([result]) => result)
+
+/**
+ * Returns a promizen fulfilled with the value after the given time.
+ *
+ * @param {*} value - The value to fulfill with.
+ * @param {number} ms - The time in milliseconds.
+ * @returns {Promizen} The delayed promizen.
+ */
+const delayed = (value, ms) => new Promizen((resolve) => setTimeout(() => resolve(value), ms))
+
+/**
+ * Returns a promizen rejected with the reason after the given time.
+ *
+ * @param {*} reason - The reason to reject with.
+ * @param {number} ms - The time in milliseconds.
+ * @returns {Promizen} The delayed promizen.
+ */
+const delayedRejection = (reason, ms) => new Promizen((_, reject) => setTimeout(() => reject(reason), ms))
+
+/**
+ * Runs the function with the uncaught exceptions collected instead of failing the test run,
+ * the listeners of mocha are restored afterwards.
+ *
+ * @param {function(): (Promise|void)} fn - The function throwing the exceptions asynchronously, it should wait for them itself.
+ * @returns {Promise<Array<*>>} The uncaught exceptions, in order.
+ */
+const captureUncaughtExceptions = async (fn) => {
+  const listeners = process.listeners('uncaughtException')
+  process.removeAllListeners('uncaughtException')
+  const errors = []
+  process.on('uncaughtException', (error) => errors.push(error))
+  try {
+    await fn()
+  } finally {
+    process.removeAllListeners('uncaughtException')
+    listeners.forEach((listener) => process.on('uncaughtException', listener))
+  }
+  return errors
+}
+
+module.exports = { wait, settled, delayed, delayedRejection, captureUncaughtExceptions }
@@ -10,16 +10,6 @@ module.exports = {
     return new Promizen((_, reject) => reject(reason))
   },
   deferred () {
-    let resolveDeferred
-    let rejectDeferred
-    const promizen = new Promizen((resolve, reject) => {
-      resolveDeferred = resolve
-      rejectDeferred = reject
-    })
-    return {
-      promise: promizen,
-      resolve: resolveDeferred,
-      reject: rejectDeferred
-    }
+    return new Promizen.Deferred()
   }
 }
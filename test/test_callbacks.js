@@ -0,0 +1,191 @@
+'use strict'
+
+const assert = require('assert')
+const util = require('util')
+const Promizen = require('../index')
+const { wait, captureUncaughtExceptions } = require('./support/helpers')
+
+describe('Promizen.promisify', () => {
+  it('fulfills with the result passed to the callback', async () => {
+    const add = (a, b, callback) => setTimeout(() => callback(null, a + b), 1)
+    const promizen = Promizen.promisify(add)(1, 2)
+    assert.ok(promizen instanceof Promizen)
+    assert.strictEqual(await promizen, 3)
+  })
+
+  it('rejects with the error passed to the callback', async () => {
+    const error = new Error('bad')
+    const fail = (callback) => callback(error)
+    await assert.rejects(Promizen.promisify(fail)(), (reason) => reason === error)
+  })
+
+  it('rejects with the error thrown synchronously', async () => {
+    const error = new Error('thrown')
+    const fail = () => { throw error }
+    await assert.rejects(Promizen.promisify(fail)(), (reason) => reason === error)
+  })
+
+  it('fulfills with all the results with multiArgs', async () => {
+    const divide = (a, b, callback) => callback(null, Math.floor(a / b), a % b)
+    assert.deepStrictEqual(await Promizen.promisify(divide, { multiArgs: true })(7, 2), [3, 1])
+    assert.strictEqual(await Promizen.promisify(divide)(7, 2), 3)
+  })
+
+  it('settles only once for a misbehaving function', async () => {
+    const misbehave = (callback) => {
+      callback(null, 'first')
+      callback(new Error('second'))
+      callback(null, 'third')
+    }
+    assert.strictEqual(await Promizen.promisify(misbehave)(), 'first')
+  })
+
+  it('calls the function with the this of the returned function', async () => {
+    const counter = {
+      count: 41,
+      increase (callback) {
+        callback(null, ++this.count)
+      }
+    }
+    counter.increaseAsync = Promizen.promisify(counter.increase)
+    assert.strictEqual(await counter.increaseAsync(), 42)
+  })
+
+  it('calls the function with the given context', async () => {
+    const counter = { count: 1 }
+    function read (callback) {
+      callback(null, this.count)
+    }
+    assert.strictEqual(await Promizen.promisify(read, { context: counter })(), 1)
+  })
+
+  it('respects util.promisify.custom', async () => {
+    function legacy () {
+      throw new Error('should not be called')
+    }
+    legacy[util.promisify.custom] = (value) => Promise.resolve(value * 2)
+    const promizen = Promizen.promisify(legacy)(21)
+    assert.ok(promizen instanceof Promizen)
+    assert.strictEqual(await promizen, 42)
+  })
+
+  it('rejects if util.promisify.custom throws synchronously', async () => {
+    const error = new Error('oops')
+    function legacy () {}
+    legacy[util.promisify.custom] = () => {
+      throw error
+    }
+    const promizen = Promizen.promisify(legacy)()
+    assert.ok(promizen instanceof Promizen)
+    await assert.rejects(promizen, (reason) => reason === error)
+  })
+
+  it('creates instances of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    assert.ok(SubPromizen.promisify((callback) => callback(null))() instanceof SubPromizen)
+  })
+
+  it('throws a TypeError if fn is not a function', () => {
+    assert.throws(() => Promizen.promisify(42), TypeError)
+  })
+})
+
+describe('Promizen.promisifyAll', () => {
+  class Store {
+    constructor () {
+      this.data = { a: 1 }
+    }
+
+    get (key, callback) {
+      setTimeout(() => callback(null, this.data[key]), 1)
+    }
+
+    set (key, value, callback) {
+      this.data[key] = value
+      callback(null)
+    }
+  }
+
+  it('adds the promisified methods with the suffix', async () => {
+    const api = {
+      read: (callback) => callback(null, 'read'),
+      version: 1
+    }
+    assert.strictEqual(Promizen.promisifyAll(api), api)
+    assert.strictEqual(await api.readAsync(), 'read')
+    assert.ok(!('versionAsync' in api))
+    assert.ok(!Object.keys(api).includes('readAsync'))
+  })
+
+  it('promisifies the inherited methods, calling them on the receiver', async () => {
+    Promizen.promisifyAll(Store.prototype)
+    const store = new Store()
+    await store.setAsync('b', 2)
+    assert.strictEqual(await store.getAsync('b'), 2)
+    assert.ok(!('constructorAsync' in Store.prototype))
+  })
+
+  it('uses the given suffix and skips the names taken', async () => {
+    const api = {
+      read: (callback) => callback(null, 'read'),
+      readP: () => 'taken',
+      write: (callback) => callback(null, 'write')
+    }
+    Promizen.promisifyAll(api, { suffix: 'P' })
+    assert.strictEqual(api.readP(), 'taken')
+    assert.strictEqual(await api.writeP(), 'write')
+    assert.ok(!('readPP' in api))
+  })
+
+  it('throws a TypeError if the target is not an object', () => {
+    assert.throws(() => Promizen.promisifyAll(null), TypeError)
+  })
+})
+
+describe('Promizen.prototype.asCallback', () => {
+  it('calls back with the value', async () => {
+    const calls = []
+    const promizen = Promizen.resolve(1)
+    assert.strictEqual(promizen.asCallback((...args) => calls.push(args)), promizen)
+    await wait(1)
+    assert.deepStrictEqual(calls, [[null, 1]])
+  })
+
+  it('calls back with the reason', async () => {
+    const error = new Error('bad')
+    const calls = []
+    Promizen.reject(error).asCallback((...args) => calls.push(args))
+    await wait(1)
+    assert.deepStrictEqual(calls, [[error]])
+  })
+
+  it('wraps a falsy reason in an Error', async () => {
+    const calls = []
+    Promizen.reject(0).asCallback((...args) => calls.push(args))
+    await wait(1)
+    assert.ok(calls[0][0] instanceof Error)
+    assert.strictEqual(calls[0][0].reason, 0)
+  })
+
+  it('spreads an array value with spread', async () => {
+    const calls = []
+    Promizen.resolve([1, 2]).asCallback((...args) => calls.push(args), { spread: true })
+    Promizen.resolve([1, 2]).nodeify((...args) => calls.push(args))
+    await wait(1)
+    assert.deepStrictEqual(calls, [[null, 1, 2], [null, [1, 2]]])
+  })
+
+  it('does nothing without a callback', async () => {
+    const promizen = Promizen.resolve(1)
+    assert.strictEqual(promizen.asCallback(), promizen)
+  })
+
+  it('rethrows the error from the callback asynchronously', async () => {
+    const error = new Error('callback')
+    const errors = await captureUncaughtExceptions(async () => {
+      Promizen.resolve(1).asCallback(() => { throw error })
+      await wait(10)
+    })
+    assert.deepStrictEqual(errors, [error])
+  })
+})
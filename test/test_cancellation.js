@@ -0,0 +1,264 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, settled } = require('./support/helpers')
+
+const { AbortError } = Promizen
+
+describe('Promizen.prototype.cancel', () => {
+  let unhandled
+
+  beforeEach(() => {
+    unhandled = []
+    Promizen.setRejectionTracker({
+      unhandledRejection: (reason) => unhandled.push(reason),
+      rejectionHandled: () => {}
+    })
+  })
+
+  afterEach(() => {
+    Promizen.setRejectionTracker(null)
+  })
+
+  it('rejects a pending promizen with an AbortError', async () => {
+    const promizen = new Promizen(() => {})
+    promizen.cancel('navigated away')
+    const result = await settled(promizen)
+    assert.strictEqual(result.status, 'rejected')
+    assert.ok(result.reason instanceof AbortError)
+    assert.strictEqual(result.reason.name, 'AbortError')
+    assert.strictEqual(result.reason.cause, 'navigated away')
+  })
+
+  it('uses the reason as is if it is an AbortError', async () => {
+    const error = new AbortError('custom')
+    const promizen = new Promizen(() => {})
+    promizen.cancel(error)
+    assert.strictEqual((await settled(promizen)).reason, error)
+  })
+
+  it('has no effect on a settled promizen', async () => {
+    const promizen = Promizen.resolve(1)
+    promizen.cancel()
+    assert.strictEqual(await promizen, 1)
+  })
+
+  it('ignores the resolution after the cancellation', async () => {
+    let resolvePromizen
+    const promizen = new Promizen((resolve) => { resolvePromizen = resolve })
+    promizen.cancel()
+    resolvePromizen(1)
+    assert.strictEqual((await settled(promizen)).status, 'rejected')
+  })
+
+  it('cancels a promizen whose fate is resolved by a pending thenable', async () => {
+    let resolveThenable
+    const promizen = new Promizen((resolve) => resolve({ then: (onFulfilled) => { resolveThenable = onFulfilled } }))
+    promizen.cancel()
+    resolveThenable(1)
+    assert.strictEqual((await settled(promizen)).status, 'rejected')
+  })
+
+  it('does not report the rejection of a cancelled promizen as unhandled', async () => {
+    const source = new Promizen(() => {})
+    source.then((value) => value).cancel()
+    await wait(10)
+    assert.deepStrictEqual(unhandled, [])
+  })
+
+  it('calls the onCancel callbacks of the executor', async () => {
+    const calls = []
+    let timer
+    const promizen = new Promizen((resolve, reject, onCancel) => {
+      timer = setTimeout(() => resolve('done'), 1000)
+      onCancel((error) => {
+        clearTimeout(timer)
+        calls.push(error)
+      })
+    })
+    promizen.cancel('stop')
+    promizen.cancel('again')
+    const { reason } = await settled(promizen)
+    assert.deepStrictEqual(calls, [reason])
+  })
+
+  it('does not call the onCancel callbacks once settled', async () => {
+    const calls = []
+    const promizen = new Promizen((resolve, reject, onCancel) => {
+      onCancel(() => calls.push('cancelled'))
+      resolve(1)
+    })
+    promizen.cancel()
+    assert.strictEqual(await promizen, 1)
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('calls an onCancel callback registered after the cancellation immediately', async () => {
+    let register
+    const promizen = new Promizen((resolve, reject, onCancel) => { register = onCancel })
+    promizen.cancel()
+    const calls = []
+    register((error) => calls.push(error))
+    assert.strictEqual(calls.length, 1)
+    assert.ok(calls[0] instanceof AbortError)
+    await settled(promizen)
+  })
+
+  it('stops the pending handlers of the cancelled promizen', async () => {
+    const calls = []
+    let resolveSource
+    const source = new Promizen((resolve) => { resolveSource = resolve })
+    const derived = source.then((value) => calls.push(value))
+    derived.cancel()
+    resolveSource(1)
+    await wait(5)
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('stops the handlers scheduled before the cancellation', async () => {
+    const calls = []
+    const derived = Promizen.resolve(1).then((value) => calls.push(value))
+    derived.cancel()
+    await settled(derived)
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('rejects the derived promizens of the cancelled one', async () => {
+    const source = new Promizen(() => {})
+    const derived = source.then(() => 'fulfilled', (reason) => reason)
+    source.cancel()
+    assert.ok((await derived) instanceof AbortError)
+  })
+
+  it('propagates upstream through the parents without other consumers', async () => {
+    const calls = []
+    const source = new Promizen((resolve, reject, onCancel) => onCancel(() => calls.push('source')))
+    const middle = source.then((value) => value)
+    const tail = middle.then((value) => value)
+    tail.cancel()
+    await settled(tail)
+    assert.strictEqual((await settled(middle)).status, 'rejected')
+    assert.strictEqual((await settled(source)).status, 'rejected')
+    assert.deepStrictEqual(calls, ['source'])
+  })
+
+  it('does not propagate upstream while the parent has other consumers', async () => {
+    let resolveSource
+    const source = new Promizen((resolve) => { resolveSource = resolve })
+    const first = source.then((value) => value)
+    const second = source.then((value) => value * 2)
+    first.cancel()
+    resolveSource(1)
+    assert.strictEqual(await second, 2)
+    assert.strictEqual(await source, 1)
+    second.cancel()
+  })
+
+  it('propagates upstream once all the consumers are cancelled', async () => {
+    const source = new Promizen(() => {})
+    const first = source.then()
+    const second = source.catch()
+    first.cancel()
+    assert.ok(source.isPending())
+    second.cancel()
+    assert.strictEqual((await settled(source)).status, 'rejected')
+  })
+
+  it('propagates upstream to the promizen returned by a handler', async () => {
+    const calls = []
+    const inner = new Promizen((resolve, reject, onCancel) => onCancel(() => calls.push('inner')))
+    const outer = Promizen.resolve().then(() => inner)
+    await wait(5)
+    outer.cancel()
+    await settled(outer)
+    assert.strictEqual((await settled(inner)).status, 'rejected')
+    assert.deepStrictEqual(calls, ['inner'])
+  })
+
+  it('rejects with a TypeError when the onCancel callback is not a function', () => {
+    const promizen = new Promizen((resolve, reject, onCancel) => onCancel(42))
+    return assert.rejects(promizen, TypeError)
+  })
+})
+
+describe('cancellation by AbortSignal', () => {
+  it('cancels the promizen when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const calls = []
+    const promizen = new Promizen((resolve, reject, onCancel) => onCancel(() => calls.push('cancelled')), { signal: controller.signal })
+    const reason = new Error('aborted')
+    controller.abort(reason)
+    const result = await settled(promizen)
+    assert.ok(result.reason instanceof AbortError)
+    assert.strictEqual(result.reason.cause, reason)
+    assert.deepStrictEqual(calls, ['cancelled'])
+  })
+
+  it('does not call the executor when the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    let called = false
+    const promizen = new Promizen(() => { called = true }, { signal: controller.signal })
+    assert.strictEqual(called, false)
+    assert.ok((await settled(promizen)).reason instanceof AbortError)
+  })
+
+  it('removes the abort listener once settled', async () => {
+    const listeners = new Set()
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    }
+    const promizen = new Promizen((resolve) => resolve(1), { signal })
+    assert.strictEqual(listeners.size, 0)
+    await promizen
+    const pending = new Promizen((resolve) => setTimeout(resolve, 1), { signal })
+    assert.strictEqual(listeners.size, 1)
+    await pending
+    assert.strictEqual(listeners.size, 0)
+  })
+
+  it('throws a TypeError for an invalid signal', () => {
+    assert.throws(() => new Promizen(() => {}, { signal: {} }), TypeError)
+  })
+})
+
+describe('Promizen.withSignal', () => {
+  it('follows the given value', async () => {
+    const controller = new AbortController()
+    assert.strictEqual(await Promizen.withSignal(controller.signal, Promizen.resolve(1)), 1)
+  })
+
+  it('cancels the bound chain when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const calls = []
+    const source = new Promizen((resolve, reject, onCancel) => onCancel(() => calls.push('source')))
+    const bound = Promizen.withSignal(controller.signal, source.then((value) => value))
+    controller.abort()
+    assert.ok((await settled(bound)).reason instanceof AbortError)
+    assert.deepStrictEqual(calls, ['source'])
+  })
+
+  it('cancels the bound chain when the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort('gone')
+    const calls = []
+    const source = new Promizen((resolve, reject, onCancel) => onCancel((error) => calls.push(error.cause)))
+    const chain = source.then((value) => value)
+    const bound = Promizen.withSignal(controller.signal, chain)
+    assert.ok((await settled(bound)).reason instanceof AbortError)
+    assert.ok((await settled(chain)).reason instanceof AbortError)
+    assert.deepStrictEqual(calls, ['gone'])
+  })
+
+  it('does not cancel the value with other consumers when the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const source = new Promizen(() => {})
+    source.then((value) => value)
+    await settled(Promizen.withSignal(controller.signal, source))
+    assert.ok(source.isPending())
+  })
+})
@@ -0,0 +1,216 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, delayed } = require('./support/helpers')
+
+async function * generateAsync (...items) {
+  for (const item of items) {
+    await wait(1)
+    yield item
+  }
+}
+
+const concurrencyProbe = () => {
+  const probe = { active: 0, max: 0, started: [] }
+  probe.run = (value, ms) => {
+    probe.active++
+    probe.max = Math.max(probe.max, probe.active)
+    probe.started.push(value)
+    return delayed(value, ms).finally(() => { probe.active-- })
+  }
+  return probe
+}
+
+describe('Promizen.map', () => {
+  it('maps the elements in the iteration order', async () => {
+    const result = await Promizen.map([30, 10, 20], (ms, index) => delayed(`${index}:${ms}`, ms))
+    assert.deepStrictEqual(result, ['0:30', '1:10', '2:20'])
+  })
+
+  it('resolves the promizens and thenables as elements', async () => {
+    const result = await Promizen.map([delayed(1, 10), { then: (resolve) => resolve(2) }, 3], (value) => value * 2)
+    assert.deepStrictEqual(result, [2, 4, 6])
+  })
+
+  it('accepts async iterables', async () => {
+    const result = await Promizen.map(generateAsync(1, 2, 3), (value) => value + 1, { concurrency: 2 })
+    assert.deepStrictEqual(result, [2, 3, 4])
+  })
+
+  it('accepts empty iterables', async () => {
+    assert.deepStrictEqual(await Promizen.map([], () => {}), [])
+    assert.deepStrictEqual(await Promizen.map(generateAsync(), () => {}), [])
+  })
+
+  it('limits the concurrency', async () => {
+    const probe = concurrencyProbe()
+    const result = await Promizen.map([1, 2, 3, 4, 5, 6], (value) => probe.run(value, 5), { concurrency: 2 })
+    assert.deepStrictEqual(result, [1, 2, 3, 4, 5, 6])
+    assert.strictEqual(probe.max, 2)
+  })
+
+  it('runs all the mappers at the same time by default', async () => {
+    const probe = concurrencyProbe()
+    await Promizen.map([1, 2, 3, 4], (value) => probe.run(value, 5))
+    assert.strictEqual(probe.max, 4)
+  })
+
+  it('stops scheduling after the first rejection', async () => {
+    const probe = concurrencyProbe()
+    const promizen = Promizen.map([1, 2, 3, 4, 5], (value) => {
+      if (value === 2) {
+        return Promizen.reject(new Error('bad'))
+      }
+      return probe.run(value, 5)
+    }, { concurrency: 2 })
+    await assert.rejects(promizen, /bad/)
+    await delayed(null, 20)
+    assert.deepStrictEqual(probe.started, [1])
+  })
+
+  it('rejects with a rejected element', async () => {
+    await assert.rejects(Promizen.map([1, Promizen.reject(new Error('element'))], (value) => value), /element/)
+  })
+
+  it('closes the iterator after the first rejection', async () => {
+    let closed = false
+    function * generate () {
+      try {
+        yield 1
+        yield 2
+        yield 3
+      } finally {
+        closed = true
+      }
+    }
+    await assert.rejects(Promizen.map(generate(), () => { throw new Error('bad') }, { concurrency: 1 }), /bad/)
+    await delayed(null, 1)
+    assert.ok(closed)
+  })
+
+  it('rejects when the iteration throws', async () => {
+    function * generate () {
+      yield 1
+      throw new Error('iteration')
+    }
+    await assert.rejects(Promizen.map(generate(), (value) => value), /iteration/)
+  })
+
+  it('rejects when the argument is not iterable', async () => {
+    await assert.rejects(Promizen.map(42, (value) => value), TypeError)
+  })
+
+  it('stops pulling elements when cancelled', async () => {
+    const pulled = []
+    function * generate () {
+      for (let i = 0; i < 5; i++) {
+        pulled.push(i)
+        yield i
+      }
+    }
+    const promizen = Promizen.map(generate(), (value) => delayed(value, 5), { concurrency: 1 })
+    await delayed(null, 1)
+    promizen.cancel()
+    await delayed(null, 20)
+    assert.deepStrictEqual(pulled, [0])
+  })
+
+  it('throws a TypeError for invalid arguments', () => {
+    assert.throws(() => Promizen.map([], 42), TypeError)
+    assert.throws(() => Promizen.map([], () => {}, { concurrency: 0 }), TypeError)
+    assert.throws(() => Promizen.map([], () => {}, { concurrency: 1.5 }), TypeError)
+  })
+})
+
+describe('Promizen.mapSeries', () => {
+  it('maps the elements one by one', async () => {
+    const probe = concurrencyProbe()
+    const result = await Promizen.mapSeries([3, 1, 2], (value) => probe.run(value, value))
+    assert.deepStrictEqual(result, [3, 1, 2])
+    assert.deepStrictEqual(probe.started, [3, 1, 2])
+    assert.strictEqual(probe.max, 1)
+  })
+})
+
+describe('Promizen.filter', () => {
+  it('keeps the elements passing the predicate in the iteration order', async () => {
+    const result = await Promizen.filter([delayed(1, 10), 2, 3, 4], (value) => delayed(value % 2 === 0, 5 - value))
+    assert.deepStrictEqual(result, [2, 4])
+  })
+
+  it('limits the concurrency', async () => {
+    const probe = concurrencyProbe()
+    await Promizen.filter([1, 2, 3, 4], (value) => probe.run(true, 5), { concurrency: 3 })
+    assert.strictEqual(probe.max, 3)
+  })
+
+  it('rejects with the error of the predicate', async () => {
+    await assert.rejects(Promizen.filter([1], () => { throw new Error('predicate') }), /predicate/)
+  })
+})
+
+describe('Promizen.reduce', () => {
+  it('reduces the elements in the iteration order', async () => {
+    const result = await Promizen.reduce([1, delayed(2, 10), 3], (accumulator, value, index) => delayed(`${accumulator}|${index}:${value}`, 5), 'start')
+    assert.strictEqual(result, 'start|0:1|1:2|2:3')
+  })
+
+  it('resolves the initial value', async () => {
+    assert.strictEqual(await Promizen.reduce([1, 2], (sum, value) => sum + value, delayed(10, 5)), 13)
+  })
+
+  it('uses the first element as the initial value if omitted', async () => {
+    const calls = []
+    const result = await Promizen.reduce(generateAsync(1, 2, 3), (sum, value, index) => {
+      calls.push(index)
+      return sum + value
+    })
+    assert.strictEqual(result, 6)
+    assert.deepStrictEqual(calls, [1, 2])
+  })
+
+  it('fulfills with the initial value for an empty iterable', async () => {
+    assert.strictEqual(await Promizen.reduce([], () => {}, 'initial'), 'initial')
+  })
+
+  it('rejects with a TypeError for an empty iterable without the initial value', async () => {
+    await assert.rejects(Promizen.reduce([], () => {}), TypeError)
+  })
+
+  it('allows undefined as the initial value', async () => {
+    assert.strictEqual(await Promizen.reduce([1], (accumulator, value) => `${accumulator}${value}`, undefined), 'undefined1')
+  })
+})
+
+describe('Promizen.each', () => {
+  it('calls the iteratee one by one and fulfills with the elements', async () => {
+    const calls = []
+    const result = await Promizen.each([delayed('a', 5), 'b'], (value, index) => delayed(null, 5).then(() => calls.push([value, index])))
+    assert.deepStrictEqual(result, ['a', 'b'])
+    assert.deepStrictEqual(calls, [['a', 0], ['b', 1]])
+  })
+
+  it('stops after the first rejection', async () => {
+    const calls = []
+    const promizen = Promizen.each([1, 2, 3], (value) => {
+      calls.push(value)
+      if (value === 2) {
+        throw new Error('bad')
+      }
+    })
+    await assert.rejects(promizen, /bad/)
+    assert.deepStrictEqual(calls, [1, 2])
+  })
+})
+
+describe('collection helpers on subclasses', () => {
+  it('create instances of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    assert.ok(SubPromizen.map([], () => {}) instanceof SubPromizen)
+    assert.ok(SubPromizen.mapSeries([], () => {}) instanceof SubPromizen)
+    assert.ok(SubPromizen.filter([], () => {}) instanceof SubPromizen)
+    assert.ok(SubPromizen.reduce([], () => {}, 0) instanceof SubPromizen)
+    assert.ok(SubPromizen.each([], () => {}) instanceof SubPromizen)
+  })
+})
@@ -0,0 +1,72 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+
+describe('Promizen.withResolvers', () => {
+  it('returns a promizen along with its resolving functions', async () => {
+    const { promise, resolve, reject } = Promizen.withResolvers()
+    assert.ok(promise instanceof Promizen)
+    assert.ok(promise.isPending())
+    resolve(1)
+    reject(new Error('ignored'))
+    assert.strictEqual(await promise, 1)
+  })
+
+  it('rejects the promizen by reject', async () => {
+    const { promise, reject } = Promizen.withResolvers()
+    reject('bad')
+    await assert.rejects(promise, (reason) => reason === 'bad')
+  })
+
+  it('creates instances of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    assert.ok(SubPromizen.withResolvers().promise instanceof SubPromizen)
+  })
+
+  it('works with other constructors', async () => {
+    const { promise, resolve } = Promizen.withResolvers.call(Promise)
+    assert.ok(promise instanceof Promise)
+    resolve(1)
+    assert.strictEqual(await promise, 1)
+  })
+
+  it('throws a TypeError for a constructor not calling the executor', () => {
+    function NotPromizen () {}
+    assert.throws(() => Promizen.withResolvers.call(NotPromizen), TypeError)
+  })
+})
+
+describe('Promizen.Deferred', () => {
+  it('exposes the promizen and its resolving functions', async () => {
+    const deferred = new Promizen.Deferred()
+    assert.ok(deferred.promise instanceof Promizen)
+    const { resolve } = deferred
+    resolve(1)
+    deferred.reject(new Error('ignored'))
+    assert.strictEqual(await deferred.promise, 1)
+  })
+
+  it('tells whether the promizen is settled', async () => {
+    const deferred = new Promizen.Deferred()
+    assert.strictEqual(deferred.isSettled(), false)
+    deferred.reject('bad')
+    assert.strictEqual(deferred.isSettled(), true)
+    await deferred.promise.catch(() => {})
+  })
+
+  it('is not settled while resolved with a pending thenable', async () => {
+    const inner = new Promizen.Deferred()
+    const outer = new Promizen.Deferred()
+    outer.resolve(inner.promise)
+    assert.strictEqual(outer.isSettled(), false)
+    inner.resolve(1)
+    assert.strictEqual(await outer.promise, 1)
+    assert.strictEqual(outer.isSettled(), true)
+  })
+
+  it('creates the promizen by the given constructor', () => {
+    class SubPromizen extends Promizen {}
+    assert.ok(new Promizen.Deferred(SubPromizen).promise instanceof SubPromizen)
+  })
+})
@@ -0,0 +1,235 @@
+'use strict'
+
+const assert = require('assert')
+const EventEmitter = require('events')
+const Promizen = require('../index')
+const { wait, settled } = require('./support/helpers')
+
+const { AbortError } = Promizen
+
+describe('Promizen.fromEvent', () => {
+  describe('with an EventEmitter', () => {
+    it('resolves with the first argument of the event', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data')
+      emitter.emit('data', 'first', 'second')
+      emitter.emit('data', 'ignored')
+      assert.strictEqual(await promizen, 'first')
+    })
+
+    it('rejects on the error event by default', async () => {
+      const emitter = new EventEmitter()
+      const error = new Error('bad')
+      const promizen = Promizen.fromEvent(emitter, 'data')
+      emitter.emit('error', error)
+      await assert.rejects(promizen, (reason) => reason === error)
+    })
+
+    it('rejects on the given events', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data', { rejectOn: ['timeout', 'close'] })
+      emitter.emit('close', 'closed')
+      await assert.rejects(promizen, (reason) => reason === 'closed')
+    })
+
+    it('settles with the events passing the filter only', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data', { filter: (value) => value > 1 })
+      emitter.emit('data', 1)
+      emitter.emit('data', 2)
+      assert.strictEqual(await promizen, 2)
+    })
+
+    it('rejects with the error thrown from the filter', async () => {
+      const emitter = new EventEmitter()
+      const error = new Error('filter')
+      const promizen = Promizen.fromEvent(emitter, 'data', { filter: () => { throw error } })
+      emitter.emit('data', 1)
+      await assert.rejects(promizen, (reason) => reason === error)
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+    })
+
+    it('assimilates a thenable emitted', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data')
+      emitter.emit('data', Promizen.resolve('adopted'))
+      assert.strictEqual(await promizen, 'adopted')
+    })
+
+    it('removes the listeners once settled', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data')
+      assert.strictEqual(emitter.listenerCount('data'), 1)
+      assert.strictEqual(emitter.listenerCount('error'), 1)
+      emitter.emit('data', 1)
+      await promizen
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+      assert.strictEqual(emitter.listenerCount('error'), 0)
+    })
+
+    it('removes the listeners when cancelled', async () => {
+      const emitter = new EventEmitter()
+      const promizen = Promizen.fromEvent(emitter, 'data')
+      promizen.cancel()
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+      assert.strictEqual(emitter.listenerCount('error'), 0)
+      assert.ok((await settled(promizen)).reason instanceof AbortError)
+    })
+
+    it('removes the listeners when the signal is aborted', async () => {
+      const emitter = new EventEmitter()
+      const controller = new AbortController()
+      const promizen = Promizen.fromEvent(emitter, 'data', { signal: controller.signal })
+      controller.abort()
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+      assert.ok((await settled(promizen)).reason instanceof AbortError)
+    })
+
+    it('adds no listener when the signal is already aborted', async () => {
+      const emitter = new EventEmitter()
+      const controller = new AbortController()
+      controller.abort()
+      const promizen = Promizen.fromEvent(emitter, 'data', { signal: controller.signal })
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+      await settled(promizen)
+    })
+
+    it('works with a subclass not passing onCancel to the executor', async () => {
+      class SubPromizen extends Promizen {
+        constructor (executor) {
+          super((resolve, reject) => executor(resolve, reject))
+        }
+      }
+      const emitter = new EventEmitter()
+      const promizen = SubPromizen.fromEvent(emitter, 'data')
+      emitter.emit('data', 1)
+      assert.strictEqual(await promizen, 1)
+      assert.strictEqual(emitter.listenerCount('data'), 0)
+    })
+  })
+
+  describe('with an EventTarget', () => {
+    it('resolves with the event object', async () => {
+      const target = new EventTarget()
+      const promizen = Promizen.fromEvent(target, 'ping')
+      const event = new Event('ping')
+      target.dispatchEvent(event)
+      assert.strictEqual(await promizen, event)
+    })
+
+    it('does not reject on the error event by default', async () => {
+      const target = new EventTarget()
+      const promizen = Promizen.fromEvent(target, 'ping')
+      target.dispatchEvent(new Event('error'))
+      target.dispatchEvent(new Event('ping'))
+      assert.strictEqual((await promizen).type, 'ping')
+    })
+
+    it('rejects on the given events and removes the listeners', async () => {
+      const listeners = new Map()
+      const target = {
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        removeEventListener: (type, listener) => listeners.get(type) === listener && listeners.delete(type)
+      }
+      const promizen = Promizen.fromEvent(target, 'load', { rejectOn: 'error' })
+      assert.deepStrictEqual([...listeners.keys()], ['load', 'error'])
+      listeners.get('error')({ type: 'error' })
+      assert.deepStrictEqual(await settled(promizen), { status: 'rejected', reason: { type: 'error' } })
+      assert.strictEqual(listeners.size, 0)
+    })
+  })
+
+  it('throws a TypeError for invalid arguments', () => {
+    assert.throws(() => Promizen.fromEvent({}, 'data'), TypeError)
+    assert.throws(() => Promizen.fromEvent(new EventEmitter(), 'data', { filter: 42 }), TypeError)
+  })
+})
+
+describe('Promizen.fromAsyncIterator', () => {
+  async function * generateAsync (items, log) {
+    try {
+      for (const item of items) {
+        log.push(`pull ${item}`)
+        yield item
+      }
+    } finally {
+      log.push('closed')
+    }
+  }
+
+  it('handles the items one by one with backpressure', async () => {
+    const log = []
+    const result = await Promizen.fromAsyncIterator(generateAsync([1, 2, 3], log), (item, index) => {
+      log.push(`handle ${index}:${item}`)
+      return Promizen.delay(2).then(() => log.push(`handled ${item}`))
+    })
+    assert.strictEqual(result, undefined)
+    assert.deepStrictEqual(log, [
+      'pull 1', 'handle 0:1', 'handled 1',
+      'pull 2', 'handle 1:2', 'handled 2',
+      'pull 3', 'handle 2:3', 'handled 3',
+      'closed'
+    ])
+  })
+
+  it('handles the items with the given concurrency', async () => {
+    let active = 0
+    let max = 0
+    await Promizen.fromAsyncIterator(generateAsync([1, 2, 3, 4, 5], []), () => {
+      max = Math.max(max, ++active)
+      return Promizen.delay(2).finally(() => active--)
+    }, { concurrency: 2 })
+    assert.strictEqual(max, 2)
+  })
+
+  it('accepts a bare iterator', async () => {
+    const items = [1, 2]
+    const iterator = {
+      next: () => Promise.resolve(items.length > 0 ? { value: items.shift(), done: false } : { done: true })
+    }
+    const handled = []
+    await Promizen.fromAsyncIterator(iterator, (item) => handled.push(item))
+    assert.deepStrictEqual(handled, [1, 2])
+  })
+
+  it('stops and closes the iterator on the first error', async () => {
+    const log = []
+    const promizen = Promizen.fromAsyncIterator(generateAsync([1, 2, 3], log), (item) => {
+      if (item === 2) {
+        throw new Error('bad')
+      }
+    })
+    await assert.rejects(promizen, /bad/)
+    await wait(5)
+    assert.deepStrictEqual(log, ['pull 1', 'pull 2', 'closed'])
+  })
+
+  it('stops and closes the iterator when the signal is aborted', async () => {
+    const log = []
+    const controller = new AbortController()
+    const promizen = Promizen.fromAsyncIterator(generateAsync([1, 2, 3], log), () => {
+      controller.abort()
+      return Promizen.delay(2)
+    }, { signal: controller.signal })
+    assert.ok((await settled(promizen)).reason instanceof AbortError)
+    await wait(5)
+    assert.deepStrictEqual(log, ['pull 1', 'closed'])
+  })
+
+  it('does not touch the iterator when the signal is already aborted', async () => {
+    const log = []
+    const handled = []
+    const controller = new AbortController()
+    controller.abort()
+    const promizen = Promizen.fromAsyncIterator(generateAsync([1, 2, 3], log), (item) => handled.push(item), { signal: controller.signal })
+    assert.ok((await settled(promizen)).reason instanceof AbortError)
+    await wait(5)
+    assert.deepStrictEqual(log, [])
+    assert.deepStrictEqual(handled, [])
+  })
+
+  it('throws a TypeError for invalid arguments', () => {
+    assert.throws(() => Promizen.fromAsyncIterator([], 42), TypeError)
+    assert.throws(() => Promizen.fromAsyncIterator([], () => {}, { concurrency: -1 }), TypeError)
+  })
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const assert = require('assert')
+const util = require('util')
+const Promizen = require('../index')
+const { wait } = require('./support/helpers')
+
+describe('synchronous inspection', () => {
+  it('inspects a pending promizen', () => {
+    const promizen = new Promizen(() => {})
+    assert.strictEqual(promizen.isPending(), true)
+    assert.strictEqual(promizen.isFulfilled(), false)
+    assert.strictEqual(promizen.isRejected(), false)
+    assert.deepStrictEqual(promizen.inspect(), { state: 'pending' })
+  })
+
+  it('inspects a fulfilled promizen', () => {
+    const promizen = Promizen.resolve(1)
+    assert.strictEqual(promizen.isPending(), false)
+    assert.strictEqual(promizen.isFulfilled(), true)
+    assert.strictEqual(promizen.isRejected(), false)
+    assert.deepStrictEqual(promizen.inspect(), { state: 'fulfilled', value: 1 })
+  })
+
+  it('inspects a rejected promizen', () => {
+    const promizen = Promizen.reject('bad')
+    promizen.catch(() => {})
+    assert.strictEqual(promizen.isPending(), false)
+    assert.strictEqual(promizen.isFulfilled(), false)
+    assert.strictEqual(promizen.isRejected(), true)
+    assert.deepStrictEqual(promizen.inspect(), { state: 'rejected', reason: 'bad' })
+  })
+
+  it('keeps a promizen whose fate is resolved by a pending thenable pending', () => {
+    const promizen = new Promizen((resolve) => resolve(new Promizen(() => {})))
+    assert.strictEqual(promizen.isPending(), true)
+  })
+
+  it('hides the internal state', () => {
+    const promizen = Promizen.resolve(1)
+    assert.deepStrictEqual(Object.keys(promizen), [])
+    promizen.state = 'rejected'
+    promizen.value = 2
+    assert.deepStrictEqual(promizen.inspect(), { state: 'fulfilled', value: 1 })
+  })
+
+  it('takes a snapshot which does not affect the promizen', () => {
+    const promizen = Promizen.resolve(1)
+    promizen.inspect().value = 2
+    assert.deepStrictEqual(promizen.inspect(), { state: 'fulfilled', value: 1 })
+  })
+
+  it('does not count as handling a rejection', async () => {
+    const unhandled = []
+    Promizen.setRejectionTracker({ unhandledRejection: (reason) => unhandled.push(reason), rejectionHandled: () => {} })
+    try {
+      const promizen = Promizen.reject('bad')
+      promizen.isRejected()
+      promizen.inspect()
+      util.inspect(promizen)
+      await wait(10)
+      assert.deepStrictEqual(unhandled, ['bad'])
+    } finally {
+      Promizen.setRejectionTracker(null)
+    }
+  })
+
+  it('throws a TypeError on an incompatible receiver', () => {
+    assert.throws(() => Promizen.prototype.isPending.call({}), TypeError)
+    assert.throws(() => Promizen.prototype.inspect.call({}), TypeError)
+  })
+})
+
+describe('util.inspect', () => {
+  it('formats like the native promises', () => {
+    const rejected = Promizen.reject('bad')
+    rejected.catch(() => {})
+    assert.strictEqual(util.inspect(new Promizen(() => {})), 'Promizen { <pending> }')
+    assert.strictEqual(util.inspect(Promizen.resolve('value')), "Promizen { 'value' }")
+    assert.strictEqual(util.inspect(Promizen.resolve({ a: 1 })), 'Promizen { { a: 1 } }')
+    assert.strictEqual(util.inspect(rejected), "Promizen { <rejected> 'bad' }")
+  })
+
+  it('uses the name of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    assert.strictEqual(util.inspect(SubPromizen.resolve(1)), 'SubPromizen { 1 }')
+  })
+
+  it('respects the depth', () => {
+    assert.strictEqual(util.inspect(Promizen.resolve({ a: { b: 1 } }), { depth: 0 }), 'Promizen { [Object] }')
+    assert.strictEqual(util.inspect({ nested: Promizen.resolve(1) }, { depth: -1 }), '[Object]')
+    assert.strictEqual(util.inspect([[Promizen.resolve(1)]], { depth: 0 }), '[ [Array] ]')
+    assert.strictEqual(util.inspect([Promizen.resolve(1)], { depth: 0 }), '[ [Promizen] ]')
+  })
+})
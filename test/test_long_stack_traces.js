@@ -0,0 +1,95 @@
+'use strict'
+
+const assert = require('assert')
+const path = require('path')
+const Promizen = require('../index')
+
+const source = path.resolve(__dirname, '../src/promizen.js')
+
+const rejectLater = (error) => new Promizen((resolve, reject) => setTimeout(() => reject(error), 1))
+
+function buildChainWithError (error) {
+  return rejectLater(error).then(function attachedFulfilledHandler (value) {
+    return value
+  })
+}
+
+function buildChainWithThrow () {
+  return Promizen.resolve().then(function throwingHandler () {
+    throw new Error('thrown')
+  })
+}
+
+const reasonOf = (promizen) => promizen.then(() => assert.fail('should be rejected'), (reason) => reason)
+
+describe('long stack traces', () => {
+  afterEach(() => {
+    Promizen.config({ longStackTraces: false })
+  })
+
+  it('are disabled by default', () => {
+    assert.deepStrictEqual(Promizen.config(), { longStackTraces: false })
+  })
+
+  it('capture the call site only once for a derived promizen', () => {
+    const prepareStackTrace = Error.prepareStackTrace
+    const promizen = Promizen.resolve(1)
+    Promizen.config({ longStackTraces: true })
+    let captures = 0
+    Error.prepareStackTrace = (error, callSites) => {
+      captures++
+      return [String(error), ...callSites.map((callSite) => `    at ${callSite}`)].join('\n')
+    }
+    try {
+      promizen.then()
+    } finally {
+      Error.prepareStackTrace = prepareStackTrace
+    }
+    assert.strictEqual(captures, 1)
+  })
+
+  it('leave the stacks as they are when disabled', async () => {
+    const error = new Error('bad')
+    const stack = error.stack
+    const reason = await reasonOf(buildChainWithError(error))
+    assert.strictEqual(reason.stack, stack)
+  })
+
+  it('extend the stack with the call sites of the chain', async () => {
+    assert.deepStrictEqual(Promizen.config({ longStackTraces: true }), { longStackTraces: true })
+    const error = new Error('bad')
+    const reason = await reasonOf(buildChainWithError(error))
+    assert.strictEqual(reason, error)
+    assert.ok(reason.stack.startsWith('Error: bad\n'))
+    assert.ok(reason.stack.includes('From previous event:'))
+    assert.ok(reason.stack.includes('buildChainWithError'))
+    assert.ok(reason.stack.includes('rejectLater'))
+  })
+
+  it('extend the stack of an error thrown from a handler', async () => {
+    Promizen.config({ longStackTraces: true })
+    const reason = await reasonOf(buildChainWithThrow())
+    assert.ok(reason.stack.includes('throwingHandler'))
+    assert.ok(reason.stack.includes('From previous event:'))
+    assert.ok(reason.stack.includes('buildChainWithThrow'))
+  })
+
+  it('remove the noise frames inside Promizen', async () => {
+    Promizen.config({ longStackTraces: true })
+    const reason = await reasonOf(buildChainWithThrow())
+    assert.ok(!reason.stack.includes(source))
+  })
+
+  it('append each call site once', async () => {
+    Promizen.config({ longStackTraces: true })
+    const reason = await reasonOf(buildChainWithError(new Error('bad')).then().then().catch((e) => { throw e }))
+    const sections = reason.stack.split('From previous event:')
+    assert.strictEqual(sections.length - 1, new Set(sections.slice(1)).size)
+  })
+
+  it('leave the reasons other than errors as they are', async () => {
+    Promizen.config({ longStackTraces: true })
+    const reason = await reasonOf(rejectLater('bad').then())
+    assert.strictEqual(reason, 'bad')
+  })
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { delayed, delayedRejection } = require('./support/helpers')
+
+describe('prototype methods', () => {
+  it('are shared by all promizens', () => {
+    const a = Promizen.resolve(1)
+    const b = Promizen.resolve(2)
+    assert.strictEqual(a.then, b.then)
+    assert.strictEqual(a.then, Promizen.prototype.then)
+    assert.ok(!Object.prototype.hasOwnProperty.call(a, 'then'))
+    assert.ok(!Object.prototype.hasOwnProperty.call(a, 'catch'))
+  })
+
+  it('throw a TypeError when then is called on a non-promizen', () => {
+    assert.throws(() => Promizen.prototype.then.call({}), TypeError)
+  })
+
+  it('catch invokes the then of the promizen', async () => {
+    const calls = []
+    class SubPromizen extends Promizen {
+      then (onFulfilled, onRejected) {
+        calls.push([onFulfilled, onRejected])
+        return super.then(onFulfilled, onRejected)
+      }
+    }
+    const onRejected = () => 'recovered'
+    assert.strictEqual(await SubPromizen.reject('bad').catch(onRejected), 'recovered')
+    assert.strictEqual(calls[0][0], undefined)
+    assert.strictEqual(calls[0][1], onRejected)
+  })
+})
+
+describe('Promizen.prototype.finally', () => {
+  it('passes the value through', async () => {
+    let called = 0
+    const value = await delayed(1, 5).finally(() => {
+      called++
+      return 2
+    })
+    assert.strictEqual(value, 1)
+    assert.strictEqual(called, 1)
+  })
+
+  it('passes the reason through', async () => {
+    await assert.rejects(delayedRejection('bad', 5).finally(() => 'ignored'), (reason) => reason === 'bad')
+  })
+
+  it('receives no argument', async () => {
+    let args
+    await Promizen.resolve(1).finally((...rest) => { args = rest })
+    assert.deepStrictEqual(args, [])
+  })
+
+  it('waits for the thenable returned by the callback', async () => {
+    const order = []
+    await Promizen.resolve(1)
+      .finally(() => delayed(null, 10).then(() => order.push('callback')))
+      .then(() => order.push('next'))
+    assert.deepStrictEqual(order, ['callback', 'next'])
+  })
+
+  it('overrides the value with an error thrown from the callback', async () => {
+    const error = new Error('finally')
+    await assert.rejects(Promizen.resolve(1).finally(() => { throw error }), (reason) => reason === error)
+  })
+
+  it('overrides the reason with a rejection returned from the callback', async () => {
+    await assert.rejects(Promizen.reject('bad').finally(() => Promizen.reject('worse')), (reason) => reason === 'worse')
+  })
+
+  it('follows the promizen when the callback is not a function', async () => {
+    assert.strictEqual(await Promizen.resolve(1).finally(), 1)
+    await assert.rejects(Promizen.reject('bad').finally(42), (reason) => reason === 'bad')
+  })
+})
+
+describe('Symbol.species', () => {
+  it('defaults to the constructor itself', () => {
+    class SubPromizen extends Promizen {}
+    assert.strictEqual(Promizen[Symbol.species], Promizen)
+    assert.strictEqual(SubPromizen[Symbol.species], SubPromizen)
+  })
+
+  it('derives promizens of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    const promizen = SubPromizen.resolve(1)
+    assert.ok(promizen.then() instanceof SubPromizen)
+    assert.ok(promizen.catch() instanceof SubPromizen)
+    assert.ok(promizen.finally() instanceof SubPromizen)
+    assert.ok(promizen.finally(() => {}) instanceof SubPromizen)
+  })
+
+  it('derives promizens of the species', () => {
+    class SubPromizen extends Promizen {
+      static get [Symbol.species] () {
+        return Promizen
+      }
+    }
+    const derived = SubPromizen.resolve(1).then()
+    assert.ok(derived instanceof Promizen)
+    assert.ok(!(derived instanceof SubPromizen))
+  })
+
+  it('falls back to Promizen when the species is undefined', () => {
+    class SubPromizen extends Promizen {
+      static get [Symbol.species] () {
+        return undefined
+      }
+    }
+    assert.strictEqual(SubPromizen.resolve(1).then().constructor, Promizen)
+  })
+
+  it('throws a TypeError when the species is not a constructor', () => {
+    class SubPromizen extends Promizen {
+      static get [Symbol.species] () {
+        return 42
+      }
+    }
+    assert.throws(() => SubPromizen.resolve(1).then(), TypeError)
+  })
+
+  it('interoperates with instanceof and native promises', async () => {
+    class SubPromizen extends Promizen {}
+    const promizen = new SubPromizen((resolve) => resolve(Promise.resolve(1)))
+    assert.ok(promizen instanceof Promizen)
+    assert.strictEqual(await promizen, 1)
+    assert.strictEqual(await Promise.resolve(SubPromizen.resolve(2)), 2)
+    assert.strictEqual(await Promizen.resolve(SubPromizen.resolve(3)), 3)
+  })
+})
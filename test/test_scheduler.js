@@ -0,0 +1,147 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, captureUncaughtExceptions } = require('./support/helpers')
+
+describe('Promizen.createManualScheduler', () => {
+  let scheduler
+
+  beforeEach(() => {
+    scheduler = Promizen.createManualScheduler()
+    Promizen.setScheduler(scheduler)
+  })
+
+  afterEach(() => {
+    Promizen.setScheduler(null)
+  })
+
+  it('runs no handler until a tick', () => {
+    const calls = []
+    Promizen.resolve(1).then((value) => calls.push(value))
+    assert.strictEqual(scheduler.size, 1)
+    assert.deepStrictEqual(calls, [])
+    assert.strictEqual(scheduler.tick(), 1)
+    assert.deepStrictEqual(calls, [1])
+    assert.strictEqual(scheduler.size, 0)
+  })
+
+  it('steps through a chain one tick at a time', () => {
+    const calls = []
+    Promizen.resolve(1)
+      .then((value) => { calls.push(value); return value + 1 })
+      .then((value) => { calls.push(value); return value + 1 })
+      .then((value) => { calls.push(value) })
+    scheduler.tick()
+    assert.deepStrictEqual(calls, [1])
+    scheduler.tick()
+    assert.deepStrictEqual(calls, [1, 2])
+    scheduler.tick()
+    assert.deepStrictEqual(calls, [1, 2, 3])
+    assert.strictEqual(scheduler.tick(), 0)
+  })
+
+  it('drains all the tasks on demand', () => {
+    const calls = []
+    const promizen = Promizen.all([1, Promizen.resolve(2), { then: (resolve) => resolve(3) }])
+    promizen.then((values) => calls.push(values))
+    assert.ok(scheduler.drain() > 0)
+    assert.deepStrictEqual(calls, [[1, 2, 3]])
+    assert.strictEqual(scheduler.size, 0)
+  })
+
+  it('runs the handlers in the order they are scheduled', () => {
+    const calls = []
+    const promizen = Promizen.resolve()
+    promizen.then(() => calls.push('a'))
+    Promizen.reject().catch(() => calls.push('b'))
+    promizen.then(() => calls.push('c'))
+    scheduler.tick()
+    assert.deepStrictEqual(calls, ['a', 'b', 'c'])
+  })
+})
+
+describe('Promizen.setScheduler', () => {
+  afterEach(() => {
+    Promizen.setScheduler(null)
+  })
+
+  it('throws a TypeError if the scheduler is not a function', () => {
+    assert.throws(() => Promizen.setScheduler(42), TypeError)
+  })
+
+  it('sets the scheduler of a subclass without affecting its parent', async () => {
+    class SubPromizen extends Promizen {}
+    const scheduler = Promizen.createManualScheduler()
+    SubPromizen.setScheduler(scheduler)
+    try {
+      const calls = []
+      SubPromizen.resolve('sub').then((value) => calls.push(value))
+      await Promizen.resolve('parent').then((value) => calls.push(value))
+      assert.deepStrictEqual(calls, ['parent'])
+      scheduler.tick()
+      assert.deepStrictEqual(calls, ['parent', 'sub'])
+    } finally {
+      SubPromizen.setScheduler(null)
+    }
+  })
+
+  it('lets a subclass inherit the scheduler of its parent', () => {
+    class SubPromizen extends Promizen {}
+    const scheduler = Promizen.createManualScheduler()
+    Promizen.setScheduler(scheduler)
+    SubPromizen.resolve().then(() => {})
+    assert.strictEqual(scheduler.size, 1)
+  })
+
+  for (const name of ['microtask', 'immediate', 'nextTick']) {
+    it(`runs the handlers by the ${name} scheduler`, async () => {
+      Promizen.setScheduler(Promizen.schedulers[name])
+      const value = await Promizen.resolve(1).then((value) => value + 1).finally(() => {})
+      assert.strictEqual(value, 2)
+    })
+  }
+
+  it('batches the handlers into one flush', async () => {
+    Promizen.setScheduler(Promizen.schedulers.immediate)
+    const calls = []
+    const promizen = Promizen.resolve()
+    promizen.then(() => calls.push('a'))
+    setImmediate(() => calls.push('immediate'))
+    promizen.then(() => calls.push('b'))
+    await wait(10)
+    assert.deepStrictEqual(calls, ['a', 'b', 'immediate'])
+  })
+
+  it('leaves the handlers scheduled during a flush to the next flush', async () => {
+    Promizen.setScheduler(Promizen.schedulers.immediate)
+    const calls = []
+    Promizen.resolve().then(() => calls.push('a')).then(() => calls.push('b'))
+    setImmediate(() => calls.push('immediate'))
+    await wait(10)
+    assert.deepStrictEqual(calls, ['a', 'immediate', 'b'])
+  })
+
+  it('does not starve the other macro-tasks by a long chain', async () => {
+    Promizen.setScheduler(Promizen.schedulers.immediate)
+    let steps = 0
+    let stepsBeforeImmediate = null
+    const step = () => ++steps < 1000 ? Promizen.resolve().then(step) : steps
+    setImmediate(() => { stepsBeforeImmediate = steps })
+    assert.strictEqual(await Promizen.resolve().then(step), 1000)
+    assert.ok(stepsBeforeImmediate !== null && stepsBeforeImmediate < 10)
+  })
+
+  it('keeps running the rest of the flush after a task throws', async () => {
+    const calls = []
+    const scheduler = Promizen.schedulers.immediate
+    const errors = await captureUncaughtExceptions(async () => {
+      scheduler(() => calls.push('a'))
+      scheduler(() => { throw new Error('bad') })
+      scheduler(() => calls.push('b'))
+      await wait(10)
+    })
+    assert.deepStrictEqual(calls, ['a', 'b'])
+    assert.deepStrictEqual(errors.map(({ message }) => message), ['bad'])
+  })
+})
@@ -0,0 +1,151 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { delayed, delayedRejection } = require('./support/helpers')
+
+const thenable = (value) => ({ then: (onFulfilled) => onFulfilled(value) })
+const rejectedThenable = (reason) => ({ then: (_, onRejected) => onRejected(reason) })
+
+function * generate (...items) {
+  yield * items
+}
+
+describe('Promizen.resolve', () => {
+  it('returns the same promizen when given a promizen', () => {
+    const promizen = new Promizen(() => {})
+    assert.strictEqual(Promizen.resolve(promizen), promizen)
+  })
+
+  it('wraps a plain value', async () => {
+    const promizen = Promizen.resolve(1)
+    assert.ok(promizen instanceof Promizen)
+    assert.strictEqual(await promizen, 1)
+  })
+
+  it('assimilates thenables', async () => {
+    assert.strictEqual(await Promizen.resolve(thenable(2)), 2)
+    await assert.rejects(Promizen.resolve(rejectedThenable(3)), (reason) => reason === 3)
+  })
+
+  it('wraps a promizen of another constructor', () => {
+    class SubPromizen extends Promizen {}
+    const promizen = Promizen.resolve(1)
+    const wrapped = SubPromizen.resolve(promizen)
+    assert.notStrictEqual(wrapped, promizen)
+    assert.ok(wrapped instanceof SubPromizen)
+  })
+})
+
+describe('Promizen.reject', () => {
+  it('rejects with the given reason without unwrapping it', async () => {
+    const reason = Promizen.resolve(1)
+    let rejected
+    await Promizen.reject(reason).catch((e) => { rejected = e })
+    assert.strictEqual(rejected, reason)
+  })
+})
+
+describe('Promizen.all', () => {
+  it('fulfills with the values in the iteration order', async () => {
+    const values = await Promizen.all([delayed(1, 20), 2, thenable(3), delayed(4, 5)])
+    assert.deepStrictEqual(values, [1, 2, 3, 4])
+  })
+
+  it('fulfills with an empty array for an empty iterable', async () => {
+    assert.deepStrictEqual(await Promizen.all([]), [])
+  })
+
+  it('accepts any iterable', async () => {
+    assert.deepStrictEqual(await Promizen.all(generate(1, 2)), [1, 2])
+    assert.deepStrictEqual(await Promizen.all(new Set([3, 4])), [3, 4])
+    assert.deepStrictEqual(await Promizen.all('ab'), ['a', 'b'])
+  })
+
+  it('rejects with the first rejection', async () => {
+    await assert.rejects(
+      Promizen.all([delayed(1, 5), delayedRejection('late', 20), delayedRejection('early', 10)]),
+      (reason) => reason === 'early'
+    )
+  })
+
+  it('rejects when the argument is not iterable', async () => {
+    await assert.rejects(Promizen.all(42), TypeError)
+  })
+
+  it('rejects when the iteration throws', async () => {
+    const error = new Error('iteration')
+    const iterable = {
+      * [Symbol.iterator] () {
+        yield 1
+        throw error
+      }
+    }
+    await assert.rejects(Promizen.all(iterable), (reason) => reason === error)
+  })
+})
+
+describe('Promizen.allSettled', () => {
+  it('fulfills with the outcome of every element', async () => {
+    const results = await Promizen.allSettled([delayed(1, 10), delayedRejection('bad', 5), rejectedThenable('worse'), 4])
+    assert.deepStrictEqual(results, [
+      { status: 'fulfilled', value: 1 },
+      { status: 'rejected', reason: 'bad' },
+      { status: 'rejected', reason: 'worse' },
+      { status: 'fulfilled', value: 4 }
+    ])
+  })
+
+  it('fulfills with an empty array for an empty iterable', async () => {
+    assert.deepStrictEqual(await Promizen.allSettled([]), [])
+  })
+})
+
+describe('Promizen.race', () => {
+  it('fulfills with the first settled value', async () => {
+    assert.strictEqual(await Promizen.race([delayed(1, 20), delayed(2, 5)]), 2)
+  })
+
+  it('rejects with the first settled reason', async () => {
+    await assert.rejects(Promizen.race([delayed(1, 20), delayedRejection('bad', 5)]), (reason) => reason === 'bad')
+  })
+
+  it('stays pending for an empty iterable', async () => {
+    const result = await Promizen.race([Promizen.race([]), delayed('timeout', 10)])
+    assert.strictEqual(result, 'timeout')
+  })
+})
+
+describe('Promizen.any', () => {
+  it('fulfills with the first fulfilled value', async () => {
+    assert.strictEqual(await Promizen.any([delayedRejection('bad', 1), delayed(1, 20), delayed(2, 10)]), 2)
+  })
+
+  it('rejects with an AggregateError when all elements are rejected', async () => {
+    await assert.rejects(Promizen.any([delayedRejection('a', 10), rejectedThenable('b')]), (reason) => {
+      assert.ok(reason instanceof AggregateError)
+      assert.deepStrictEqual(reason.errors, ['a', 'b'])
+      return true
+    })
+  })
+
+  it('rejects with an AggregateError for an empty iterable', async () => {
+    await assert.rejects(Promizen.any([]), (reason) => {
+      assert.ok(reason instanceof AggregateError)
+      assert.deepStrictEqual(reason.errors, [])
+      return true
+    })
+  })
+})
+
+describe('static methods on subclasses', () => {
+  it('create instances of the subclass', () => {
+    class SubPromizen extends Promizen {}
+    assert.ok(SubPromizen.resolve(1) instanceof SubPromizen)
+    assert.ok(SubPromizen.reject(1).catch(() => {}) instanceof Promizen)
+    assert.ok(SubPromizen.all([]) instanceof SubPromizen)
+    assert.ok(SubPromizen.allSettled([]) instanceof SubPromizen)
+    assert.ok(SubPromizen.race([]) instanceof SubPromizen)
+    assert.ok(SubPromizen.any([1]) instanceof SubPromizen)
+  })
+})
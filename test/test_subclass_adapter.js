@@ -0,0 +1,21 @@
+'use strict'
+
+const Promizen = require('../index')
+
+class SubPromizen extends Promizen {
+  then (onFulfilled, onRejected) {
+    return super.then(onFulfilled, onRejected)
+  }
+}
+
+module.exports = {
+  resolved (value) {
+    return new SubPromizen((resolve) => resolve(value))
+  },
+  rejected (reason) {
+    return new SubPromizen((_, reject) => reject(reason))
+  },
+  deferred () {
+    return new Promizen.Deferred(SubPromizen)
+  }
+}
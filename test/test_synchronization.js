@@ -0,0 +1,288 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, settled } = require('./support/helpers')
+
+const { AbortError, Mutex, Semaphore, Queue } = Promizen
+
+describe('Promizen.Mutex', () => {
+  it('grants the lock to one holder at a time', async () => {
+    const mutex = new Mutex()
+    let holders = 0
+    let max = 0
+    await Promizen.all([1, 2, 3, 4].map(() => mutex.runExclusive(() => {
+      max = Math.max(max, ++holders)
+      return Promizen.delay(2).finally(() => holders--)
+    })))
+    assert.strictEqual(max, 1)
+    assert.strictEqual(mutex.isLocked(), false)
+  })
+
+  it('serves the waiters in FIFO order', async () => {
+    const mutex = new Mutex()
+    const order = []
+    const release = await mutex.lock()
+    const waiters = [1, 2, 3].map((id) => mutex.lock().then((release) => {
+      order.push(id)
+      release()
+    }))
+    assert.strictEqual(mutex.waiting, 3)
+    release()
+    await Promizen.all(waiters)
+    assert.deepStrictEqual(order, [1, 2, 3])
+  })
+
+  it('does not let tryLock barge ahead of the waiters', async () => {
+    const mutex = new Mutex()
+    const release = mutex.tryLock()
+    assert.strictEqual(typeof release, 'function')
+    assert.strictEqual(mutex.tryLock(), null)
+    const waiter = mutex.lock()
+    release()
+    assert.strictEqual(mutex.tryLock(), null)
+    const next = await waiter
+    next()
+    assert.strictEqual(typeof mutex.tryLock(), 'function')
+  })
+
+  it('ignores the release called more than once', async () => {
+    const mutex = new Mutex()
+    const release = await mutex.lock()
+    const waiter = mutex.lock()
+    release()
+    release()
+    await waiter
+    assert.strictEqual(mutex.isLocked(), true)
+    assert.strictEqual(mutex.tryLock(), null)
+  })
+
+  it('does not lose the lock when the exclusive run is cancelled right after the grant', async () => {
+    const mutex = new Mutex()
+    const release = mutex.tryLock()
+    const exclusive = mutex.runExclusive(() => assert.fail('should not be called'))
+    release()
+    exclusive.cancel()
+    await settled(exclusive)
+    assert.strictEqual(mutex.isLocked(), false)
+    assert.strictEqual(await mutex.runExclusive(() => 'next'), 'next')
+  })
+
+  it('releases the lock when the exclusive function fails', async () => {
+    const mutex = new Mutex()
+    await assert.rejects(mutex.runExclusive(() => { throw new Error('bad') }), /bad/)
+    assert.strictEqual(mutex.isLocked(), false)
+  })
+
+  it('keeps the increments of a shared counter consistent', async () => {
+    const mutex = new Mutex()
+    let counter = 0
+    await Promizen.all(Array.from({ length: 20 }, () => mutex.runExclusive(() => {
+      const read = counter
+      return Promizen.delay(0).then(() => { counter = read + 1 })
+    })))
+    assert.strictEqual(counter, 20)
+  })
+})
+
+describe('Promizen.Semaphore', () => {
+  it('grants at most the given number of permits', async () => {
+    const semaphore = new Semaphore(2)
+    let holders = 0
+    let max = 0
+    await Promizen.all([1, 2, 3, 4, 5].map(() => semaphore.use(() => {
+      max = Math.max(max, ++holders)
+      return Promizen.delay(2).finally(() => holders--)
+    })))
+    assert.strictEqual(max, 2)
+    assert.strictEqual(semaphore.available, 2)
+  })
+
+  it('serves the waiters in FIFO order', async () => {
+    const semaphore = new Semaphore(2)
+    const releases = [semaphore.tryAcquire(), semaphore.tryAcquire()]
+    const order = []
+    const waiters = [1, 2, 3, 4].map((id) => semaphore.acquire().then((release) => {
+      order.push(id)
+      return release
+    }))
+    releases.forEach((release) => release())
+    const granted = await Promizen.all(waiters.slice(0, 2))
+    granted.forEach((release) => release())
+    await Promizen.all(waiters)
+    assert.deepStrictEqual(order, [1, 2, 3, 4])
+  })
+
+  it('gives up on a waiter by the signal without losing the wakeup', async () => {
+    const semaphore = new Semaphore(1)
+    const release = await semaphore.acquire()
+    const controller = new AbortController()
+    const abandoned = semaphore.acquire({ signal: controller.signal })
+    const next = semaphore.acquire()
+    controller.abort()
+    assert.ok((await settled(abandoned)).reason instanceof AbortError)
+    assert.strictEqual(semaphore.waiting, 1)
+    release()
+    const nextRelease = await next
+    nextRelease()
+    assert.strictEqual(semaphore.available, 1)
+  })
+
+  it('gives up on a waiter by cancelling it without losing the wakeup', async () => {
+    const semaphore = new Semaphore(1)
+    const release = semaphore.tryAcquire()
+    const waiters = [semaphore.acquire(), semaphore.acquire(), semaphore.acquire()]
+    waiters[0].cancel()
+    waiters[2].cancel()
+    release()
+    const nextRelease = await waiters[1]
+    assert.strictEqual(semaphore.available, 0)
+    nextRelease()
+    assert.strictEqual(semaphore.available, 1)
+    assert.strictEqual(semaphore.waiting, 0)
+  })
+
+  it('releases the permit when the use is cancelled right after the grant', async () => {
+    const semaphore = new Semaphore(1)
+    const calls = []
+    const release = semaphore.tryAcquire()
+    const used = semaphore.use(() => calls.push('used'))
+    release()
+    used.cancel()
+    assert.ok((await settled(used)).reason instanceof AbortError)
+    assert.strictEqual(semaphore.available, 1)
+    assert.strictEqual(await semaphore.use(() => 'next'), 'next')
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('keeps the permit until the function is settled when the use is cancelled while running', async () => {
+    const semaphore = new Semaphore(1)
+    const running = Promizen.withResolvers()
+    const used = semaphore.use(() => running.promise)
+    await wait(1)
+    used.cancel()
+    assert.strictEqual(semaphore.available, 0)
+    running.resolve()
+    await wait(1)
+    assert.strictEqual(semaphore.available, 1)
+  })
+
+  it('does not wake up anyone when the signal is already aborted', async () => {
+    const semaphore = new Semaphore(1)
+    const controller = new AbortController()
+    controller.abort()
+    assert.ok((await settled(semaphore.acquire({ signal: controller.signal }))).reason instanceof AbortError)
+    assert.strictEqual(semaphore.available, 1)
+  })
+
+  it('throws a TypeError if the permits is not a positive integer', () => {
+    assert.throws(() => new Semaphore(0), TypeError)
+    assert.throws(() => new Semaphore(), TypeError)
+  })
+})
+
+describe('Promizen.Queue', () => {
+  it('runs the tasks with the limited concurrency and follows their results', async () => {
+    const queue = new Queue({ concurrency: 2 })
+    let running = 0
+    let max = 0
+    const task = (value) => () => {
+      max = Math.max(max, ++running)
+      return Promizen.delay(2, value).finally(() => running--)
+    }
+    const results = await Promizen.all([1, 2, 3, 4].map((value) => queue.add(task(value))))
+    assert.deepStrictEqual(results, [1, 2, 3, 4])
+    assert.strictEqual(max, 2)
+  })
+
+  it('rejects with the error of the task and carries on', async () => {
+    const queue = new Queue({ concurrency: 1 })
+    const failed = queue.add(() => { throw new Error('bad') })
+    const next = queue.add(() => 'next')
+    await assert.rejects(failed, /bad/)
+    assert.strictEqual(await next, 'next')
+  })
+
+  it('starts the tasks in the order of their priorities', async () => {
+    const queue = new Queue({ concurrency: 1, autoStart: false })
+    const order = []
+    const add = (id, priority) => queue.add(() => order.push(id), { priority })
+    const tasks = [add('low', -1), add('normal 1'), add('high', 1), add('normal 2'), add('higher', 2)]
+    assert.strictEqual(queue.size, 5)
+    queue.resume()
+    await Promizen.all(tasks)
+    assert.deepStrictEqual(order, ['higher', 'high', 'normal 1', 'normal 2', 'low'])
+  })
+
+  it('is paused until resumed without autoStart', async () => {
+    const queue = new Queue({ autoStart: false })
+    const task = queue.add(() => 'done')
+    assert.strictEqual(queue.isPaused(), true)
+    await wait(5)
+    assert.ok(task.isPending())
+    queue.resume()
+    assert.strictEqual(await task, 'done')
+  })
+
+  it('pauses starting new tasks', async () => {
+    const queue = new Queue({ concurrency: 1 })
+    const first = queue.add(() => Promizen.delay(2, 'first'))
+    queue.pause()
+    const second = queue.add(() => 'second')
+    assert.strictEqual(await first, 'first')
+    await wait(5)
+    assert.ok(second.isPending())
+    assert.strictEqual(queue.pending, 0)
+    queue.resume()
+    assert.strictEqual(await second, 'second')
+  })
+
+  it('waits for the queue to be empty and idle', async () => {
+    const queue = new Queue({ concurrency: 1 })
+    const events = []
+    queue.add(() => Promizen.delay(2).then(() => events.push('task 1')))
+    queue.add(() => Promizen.delay(2).then(() => events.push('task 2')))
+    const empty = queue.onEmpty().then(() => events.push('empty'))
+    const idle = queue.onIdle().then(() => events.push('idle'))
+    await Promizen.all([empty, idle])
+    assert.deepStrictEqual(events, ['task 1', 'empty', 'task 2', 'idle'])
+    assert.strictEqual(await queue.onIdle(), undefined)
+  })
+
+  it('gives up on a waiting task by the signal', async () => {
+    const queue = new Queue({ concurrency: 1 })
+    const controller = new AbortController()
+    const calls = []
+    const first = queue.add(() => Promizen.delay(2, 'first'))
+    const abandoned = queue.add(() => calls.push('abandoned'), { signal: controller.signal })
+    const last = queue.add(() => 'last')
+    controller.abort()
+    assert.strictEqual(queue.size, 1)
+    assert.ok((await settled(abandoned)).reason instanceof AbortError)
+    assert.deepStrictEqual(await Promizen.all([first, last]), ['first', 'last'])
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('becomes idle when the last waiting task is given up on', async () => {
+    const queue = new Queue({ autoStart: false })
+    const task = queue.add(() => {})
+    const idle = queue.onIdle()
+    task.cancel()
+    await idle
+    await settled(task)
+  })
+
+  it('gives up on waiting for the queue to be idle', async () => {
+    const queue = new Queue({ autoStart: false })
+    queue.add(() => {})
+    const controller = new AbortController()
+    const idle = queue.onIdle({ signal: controller.signal })
+    controller.abort()
+    assert.ok((await settled(idle)).reason instanceof AbortError)
+  })
+
+  it('throws a TypeError for invalid arguments', () => {
+    assert.throws(() => new Queue({ concurrency: 0 }), TypeError)
+    assert.throws(() => new Queue().add(42), TypeError)
+  })
+})
@@ -0,0 +1,233 @@
+'use strict'
+
+const assert = require('assert')
+const FakeTimers = require('@sinonjs/fake-timers')
+const Promizen = require('../index')
+
+const { AbortError, TimeoutError } = Promizen
+
+const track = (promizen) => {
+  const result = { status: 'pending' }
+  promizen.then(
+    (value) => Object.assign(result, { status: 'fulfilled', value }),
+    (reason) => Object.assign(result, { status: 'rejected', reason })
+  )
+  return result
+}
+
+describe('time utilities', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = FakeTimers.install({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+  })
+
+  afterEach(() => {
+    clock.uninstall()
+  })
+
+  describe('Promizen.delay', () => {
+    it('resolves with the value after the given time', async () => {
+      const result = track(Promizen.delay(100, 'value'))
+      await clock.tickAsync(99)
+      assert.strictEqual(result.status, 'pending')
+      await clock.tickAsync(1)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 'value' })
+    })
+
+    it('clears the timer when cancelled', async () => {
+      const promizen = Promizen.delay(100)
+      assert.strictEqual(clock.countTimers(), 1)
+      promizen.cancel()
+      assert.strictEqual(clock.countTimers(), 0)
+    })
+  })
+
+  describe('Promizen.prototype.timeout', () => {
+    it('follows the promizen settled in time', async () => {
+      const result = track(Promizen.delay(50, 'value').timeout(100))
+      await clock.tickAsync(50)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 'value' })
+      assert.strictEqual(clock.countTimers(), 0)
+    })
+
+    it('follows the rejection settled in time', async () => {
+      const result = track(Promizen.delay(50).then(() => { throw new Error('bad') }).timeout(100))
+      await clock.tickAsync(50)
+      assert.strictEqual(result.reason.message, 'bad')
+      assert.strictEqual(clock.countTimers(), 0)
+    })
+
+    it('rejects with a TimeoutError when the time runs out', async () => {
+      const result = track(Promizen.delay(200).timeout(100))
+      await clock.tickAsync(100)
+      assert.strictEqual(result.status, 'rejected')
+      assert.ok(result.reason instanceof TimeoutError)
+      assert.strictEqual(result.reason.name, 'TimeoutError')
+    })
+
+    it('rejects with the given message, error or factory', async () => {
+      const error = new Error('custom')
+      const results = [
+        track(new Promizen(() => {}).timeout(10, 'too slow')),
+        track(new Promizen(() => {}).timeout(10, error)),
+        track(new Promizen(() => {}).timeout(10, () => new RangeError('factory')))
+      ]
+      await clock.tickAsync(10)
+      assert.ok(results[0].reason instanceof TimeoutError)
+      assert.strictEqual(results[0].reason.message, 'too slow')
+      assert.strictEqual(results[1].reason, error)
+      assert.ok(results[2].reason instanceof RangeError)
+    })
+
+    it('cancels the source without other consumers when the time runs out', async () => {
+      const calls = []
+      const source = new Promizen((resolve, reject, onCancel) => onCancel((error) => calls.push(error)))
+      track(source.timeout(100))
+      await clock.tickAsync(100)
+      assert.strictEqual(calls.length, 1)
+      assert.ok(calls[0] instanceof AbortError)
+      assert.ok(calls[0].cause instanceof TimeoutError)
+    })
+
+    it('does not cancel the source with other consumers', async () => {
+      const source = Promizen.delay(200, 'value')
+      const other = track(source.then((value) => value))
+      track(source.timeout(100))
+      await clock.tickAsync(200)
+      assert.deepStrictEqual(other, { status: 'fulfilled', value: 'value' })
+    })
+
+    it('clears the timer when cancelled and propagates to the source', async () => {
+      const source = Promizen.delay(200)
+      const promizen = source.timeout(100)
+      assert.strictEqual(clock.countTimers(), 2)
+      promizen.cancel()
+      assert.strictEqual(clock.countTimers(), 0)
+      assert.strictEqual(track(source).status, 'pending')
+      await clock.tickAsync(0)
+      assert.ok(source.isRejected())
+    })
+  })
+
+  describe('Promizen.retry', () => {
+    const failing = (failures, value) => {
+      const attempts = []
+      const fn = (attempt) => {
+        attempts.push([attempt, Date.now()])
+        if (attempts.length <= failures) {
+          return Promizen.reject(new Error(`failure ${attempt}`))
+        }
+        return value
+      }
+      return { fn, attempts }
+    }
+
+    it('resolves with the first successful attempt', async () => {
+      const { fn, attempts } = failing(2, 'value')
+      const result = track(Promizen.retry(fn, { delay: 10 }))
+      await clock.tickAsync(20)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 'value' })
+      assert.deepStrictEqual(attempts, [[1, 0], [2, 10], [3, 20]])
+    })
+
+    it('rejects with the last error when the retries are used up', async () => {
+      const { fn, attempts } = failing(Infinity)
+      const result = track(Promizen.retry(fn, { retries: 2 }))
+      await clock.runAllAsync()
+      assert.strictEqual(result.reason.message, 'failure 3')
+      assert.strictEqual(attempts.length, 3)
+    })
+
+    it('retries when the function throws', async () => {
+      let calls = 0
+      const result = track(Promizen.retry(() => {
+        if (++calls < 2) {
+          throw new Error('thrown')
+        }
+        return calls
+      }))
+      await clock.tickAsync(0)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 2 })
+    })
+
+    it('backs off exponentially up to the maximum delay', async () => {
+      const { fn, attempts } = failing(4, 'value')
+      track(Promizen.retry(fn, { retries: 4, delay: 10, backoff: 'exponential', maxDelay: 50 }))
+      await clock.tickAsync(1000)
+      assert.deepStrictEqual(attempts.map(([, time]) => time), [0, 10, 30, 70, 120])
+    })
+
+    it('randomizes the delay with jitter', async () => {
+      const random = Math.random
+      Math.random = () => 0.5
+      try {
+        const { fn, attempts } = failing(2, 'value')
+        track(Promizen.retry(fn, { delay: 100, backoff: 'exponential', jitter: true }))
+        await clock.tickAsync(1000)
+        assert.deepStrictEqual(attempts.map(([, time]) => time), [0, 50, 150])
+      } finally {
+        Math.random = random
+      }
+    })
+
+    it('stops retrying when shouldRetry returns false', async () => {
+      const { fn, attempts } = failing(Infinity)
+      const calls = []
+      const result = track(Promizen.retry(fn, {
+        shouldRetry: (error, attempt) => {
+          calls.push([error.message, attempt])
+          return attempt < 2
+        }
+      }))
+      await clock.runAllAsync()
+      assert.strictEqual(result.reason.message, 'failure 2')
+      assert.strictEqual(attempts.length, 2)
+      assert.deepStrictEqual(calls, [['failure 1', 1], ['failure 2', 2]])
+    })
+
+    it('stops retrying when cancelled', async () => {
+      const { fn, attempts } = failing(Infinity)
+      const promizen = Promizen.retry(fn, { delay: 10 })
+      const result = track(promizen)
+      await clock.tickAsync(0)
+      promizen.cancel()
+      await clock.tickAsync(100)
+      assert.strictEqual(attempts.length, 1)
+      assert.ok(result.reason instanceof AbortError)
+      assert.strictEqual(clock.countTimers(), 0)
+    })
+
+    it('throws a TypeError for invalid arguments', () => {
+      assert.throws(() => Promizen.retry(42), TypeError)
+      assert.throws(() => Promizen.retry(() => {}, { backoff: 'linear' }), TypeError)
+    })
+  })
+
+  describe('with a subclass not passing onCancel to the executor', () => {
+    class SubPromizen extends Promizen {
+      constructor (executor) {
+        super((resolve, reject) => executor(resolve, reject))
+      }
+    }
+
+    it('delays', async () => {
+      const result = track(SubPromizen.delay(5, 'value'))
+      await clock.tickAsync(5)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 'value' })
+    })
+
+    it('retries', async () => {
+      let attempts = 0
+      const result = track(SubPromizen.retry(() => ++attempts < 2 ? Promizen.reject(new Error('bad')) : attempts))
+      await clock.runAllAsync()
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 2 })
+    })
+
+    it('times out', async () => {
+      const result = track(SubPromizen.resolve(1).timeout(50))
+      await clock.tickAsync(0)
+      assert.deepStrictEqual(result, { status: 'fulfilled', value: 1 })
+    })
+  })
+})
@@ -0,0 +1,201 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, captureUncaughtExceptions } = require('./support/helpers')
+
+const { Recorder } = Promizen
+
+const strip = (events) => events.map(({ seq, time, ...event }) => event)
+
+describe('Promizen.setTracer', () => {
+  afterEach(() => {
+    Promizen.setTracer(null)
+  })
+
+  it('emits the events of create, link, handler and settle with stable IDs', async () => {
+    const events = []
+    Promizen.setTracer(({ promizen, ...event }) => events.push(event))
+    const parent = new Promizen((resolve) => resolve(1))
+    parent.then((value) => value + 1)
+    await wait(5)
+    Promizen.setTracer(null)
+    const [parentId, , childId] = events.map(({ id }) => id)
+    assert.deepStrictEqual(events, [
+      { type: 'create', id: parentId, name: 'Promizen' },
+      { type: 'settle', id: parentId, state: 'fulfilled', value: 1 },
+      { type: 'create', id: childId, name: 'Promizen' },
+      { type: 'link', id: parentId, child: childId },
+      { type: 'handler', id: parentId, child: childId, state: 'fulfilled' },
+      { type: 'settle', id: childId, state: 'fulfilled', value: 2 }
+    ])
+  })
+
+  it('tells the paths taken by the resolution with thenables', async () => {
+    const events = []
+    const ids = new Map()
+    Promizen.setTracer(({ promizen, ...event }) => {
+      ids.set(promizen, event.id)
+      events.push(event)
+    })
+    const inner = Promizen.resolve(1)
+    const outer = new Promizen((resolve) => resolve(inner))
+    const foreign = new Promizen((resolve) => resolve({ then: (onFulfilled) => onFulfilled(2) }))
+    let cyclic = null
+    cyclic = outer.then(() => cyclic)
+    await wait(5)
+    Promizen.setTracer(null)
+    assert.ok(outer.isFulfilled() && foreign.isFulfilled() && cyclic.isRejected())
+    cyclic.catch(() => {})
+    const [innerId, outerId, foreignId, cyclicId] = [inner, outer, foreign, cyclic].map((promizen) => ids.get(promizen))
+    assert.deepStrictEqual(events.filter(({ type }) => type === 'adopt'), [
+      { type: 'adopt', id: outerId, via: 'promizen', target: innerId },
+      { type: 'adopt', id: foreignId, via: 'thenable', target: null },
+      { type: 'adopt', id: cyclicId, via: 'cycle', target: cyclicId }
+    ])
+  })
+
+  it('gives an ID to the promizen created before the tracing when it first appears', async () => {
+    const early = Promizen.resolve(1)
+    const events = []
+    Promizen.setTracer((event) => events.push(event))
+    early.then()
+    early.then()
+    Promizen.setTracer(null)
+    const links = events.filter(({ type }) => type === 'link')
+    assert.strictEqual(links[0].promizen, early)
+    assert.ok(links[0].id > 0)
+    assert.strictEqual(links[1].id, links[0].id)
+    assert.ok(!events.some(({ type, id }) => type === 'create' && id === links[0].id))
+  })
+
+  it('tells whether a rejected promizen is cancelled', async () => {
+    const events = []
+    Promizen.setTracer((event) => events.push(event))
+    const promizen = new Promizen(() => {})
+    promizen.cancel()
+    const settle = events.find(({ type }) => type === 'settle')
+    assert.strictEqual(settle.state, 'rejected')
+    assert.ok(settle.reason instanceof Promizen.AbortError)
+    assert.strictEqual(settle.cancelled, true)
+  })
+
+  it('emits nothing after the tracer is unset', async () => {
+    const events = []
+    Promizen.setTracer((event) => events.push(event))
+    Promizen.setTracer(null)
+    Promizen.resolve(1).then()
+    await wait(5)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('rethrows the error thrown from the tracer asynchronously', async () => {
+    const errors = await captureUncaughtExceptions(async () => {
+      Promizen.setTracer(() => { throw new Error('bad tracer') })
+      assert.strictEqual(await Promizen.resolve(1).then((value) => value + 1), 2)
+      Promizen.setTracer(null)
+      await wait(10)
+    })
+    assert.ok(errors.length > 0)
+    assert.ok(errors.every(({ message }) => message === 'bad tracer'))
+  })
+
+  it('returns the tracer replaced', () => {
+    const tracer = () => {}
+    assert.strictEqual(Promizen.setTracer(tracer), null)
+    assert.strictEqual(Promizen.setTracer(null), tracer)
+  })
+
+  it('throws a TypeError if the tracer is not a function', () => {
+    assert.throws(() => Promizen.setTracer({}), TypeError)
+  })
+})
+
+describe('Promizen.Recorder', () => {
+  let recorder
+
+  beforeEach(() => {
+    recorder = new Recorder().start()
+  })
+
+  afterEach(() => {
+    recorder.stop()
+  })
+
+  it('records the events with their sequence numbers and times', async () => {
+    const promizen = Promizen.resolve(1)
+    promizen.then()
+    await wait(5)
+    recorder.stop()
+    assert.strictEqual(recorder.idOf(promizen), recorder.events[0].id)
+    const events = recorder.events
+    assert.deepStrictEqual(events.map(({ seq }) => seq), events.map((event, index) => index))
+    assert.ok(events.every(({ time }) => typeof time === 'number'))
+    assert.deepStrictEqual(strip(events).map(({ type }) => type), ['create', 'settle', 'create', 'link', 'handler', 'settle'])
+    assert.ok(events.every((event) => !('promizen' in event)))
+    recorder.clear()
+    assert.deepStrictEqual(recorder.events, [])
+    assert.strictEqual(recorder.idOf(promizen), null)
+  })
+
+  it('leaves the tracer set by someone else when stopped', async () => {
+    const events = []
+    const tracer = (event) => events.push(event)
+    Promizen.setTracer(tracer)
+    recorder.stop()
+    Promizen.resolve(1)
+    assert.strictEqual(Promizen.setTracer(null), tracer)
+    assert.strictEqual(events.length, 2)
+  })
+
+  it('finds the promizens which have never been settled', async () => {
+    const lost = new Promizen(() => {})
+    const derived = lost.then()
+    Promizen.resolve(1).then()
+    await wait(5)
+    recorder.stop()
+    const [lostId, derivedId] = [lost, derived].map((promizen) => recorder.idOf(promizen))
+    assert.deepStrictEqual(recorder.unsettled(), [lostId, derivedId])
+    assert.ok(derived.isPending())
+  })
+
+  it('turns the recording into a JSON timeline', async () => {
+    const error = new Error('bad')
+    Promizen.resolve({ a: 1 })
+    Promizen.reject(error).catch(() => {})
+    await wait(5)
+    recorder.stop()
+    const timeline = JSON.parse(JSON.stringify(recorder))
+    assert.deepStrictEqual(timeline.promizens.slice(0, 2).map(({ state, value, reason }) => ({ state, value, reason })), [
+      { state: 'fulfilled', value: '[object Object]', reason: undefined },
+      { state: 'rejected', value: undefined, reason: 'Error: bad' }
+    ])
+    assert.strictEqual(timeline.events.length, recorder.events.length)
+  })
+
+  it('turns the recording into a Graphviz DOT graph', async () => {
+    const inner = Promizen.resolve('done')
+    const adopter = new Promizen((resolve) => resolve(inner))
+    const assimilator = Promizen.resolve({ then: (onFulfilled) => onFulfilled(1) })
+    let cyclic = null
+    cyclic = adopter.then(() => cyclic)
+    const lost = new Promizen(() => {})
+    const derived = lost.then()
+    cyclic.catch(() => {})
+    await wait(5)
+    recorder.stop()
+    assert.ok(assimilator.isFulfilled())
+    const [innerId, adopterId, assimilatorId, cyclicId, lostId, derivedId] = [inner, adopter, assimilator, cyclic, lost, derived]
+      .map((promizen) => recorder.idOf(promizen))
+    const dot = recorder.toDOT()
+    assert.ok(dot.startsWith('digraph promizens {\n'))
+    assert.ok(dot.endsWith('\n}'))
+    assert.ok(dot.includes(`p${innerId} [label="#${innerId} Promizen\\nfulfilled: \\"done\\"", color=darkgreen];`))
+    assert.ok(dot.includes(`p${lostId} [label="#${lostId} Promizen\\npending", style="rounded,dashed", color=orange];`))
+    assert.ok(dot.includes(`p${innerId} -> p${adopterId} [label="adopt", style=dashed];`))
+    assert.ok(dot.includes(`t1 -> p${assimilatorId} [label="assimilate", style=dashed];`))
+    assert.ok(dot.includes(`p${adopterId} -> p${cyclicId} [label="then"];`))
+    assert.ok(dot.includes(`p${cyclicId} -> p${cyclicId} [label="cycle", color=red];`))
+    assert.ok(dot.includes(`p${lostId} -> p${derivedId} [label="then", style=dotted];`))
+  })
+})
@@ -0,0 +1,202 @@
+'use strict'
+
+const assert = require('assert')
+const Promizen = require('../index')
+const { wait, settled, captureUncaughtExceptions } = require('./support/helpers')
+
+describe('unhandled rejection tracking', () => {
+  let events
+
+  beforeEach(() => {
+    events = []
+    Promizen.setRejectionTracker({
+      unhandledRejection: (reason, promizen) => events.push({ type: 'unhandled', reason, promizen }),
+      rejectionHandled: (promizen) => events.push({ type: 'handled', promizen })
+    })
+  })
+
+  afterEach(() => {
+    Promizen.setRejectionTracker(null)
+  })
+
+  it('reports a rejection without handlers', async () => {
+    const promizen = Promizen.reject('bad')
+    assert.deepStrictEqual(events, [])
+    await wait(10)
+    assert.deepStrictEqual(events, [{ type: 'unhandled', reason: 'bad', promizen }])
+  })
+
+  it('does not report a rejection handled synchronously', async () => {
+    Promizen.reject('bad').catch(() => {})
+    new Promizen((_, reject) => setTimeout(() => reject('later'), 1)).then(null, () => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('does not report a rejection handled within the micro-task turn', async () => {
+    const promizen = Promizen.reject('bad')
+    queueMicrotask(() => queueMicrotask(() => promizen.catch(() => {})))
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('reports rejectionHandled when a handler is attached late', async () => {
+    const promizen = Promizen.reject('bad')
+    await wait(10)
+    promizen.catch(() => {})
+    promizen.catch(() => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [
+      { type: 'unhandled', reason: 'bad', promizen },
+      { type: 'handled', promizen }
+    ])
+  })
+
+  it('does not report rejectionHandled for a rejection never reported', async () => {
+    const promizen = Promizen.reject('bad')
+    promizen.catch(() => {})
+    await wait(10)
+    promizen.catch(() => {})
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('reports only the end of a rejected chain', async () => {
+    const first = Promizen.reject('bad')
+    const second = first.then((value) => value)
+    const third = second.finally(() => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [{ type: 'unhandled', reason: 'bad', promizen: third }])
+  })
+
+  it('reports an error thrown from a handler', async () => {
+    const error = new Error('handler')
+    const promizen = Promizen.resolve(1).then(() => { throw error })
+    await wait(10)
+    assert.deepStrictEqual(events, [{ type: 'unhandled', reason: error, promizen }])
+  })
+
+  it('reports a promizen resolved with a rejected promizen, but not the adopted one', async () => {
+    const inner = Promizen.reject('bad')
+    const outer = new Promizen((resolve) => resolve(inner))
+    await wait(10)
+    assert.deepStrictEqual(events, [{ type: 'unhandled', reason: 'bad', promizen: outer }])
+  })
+
+  it('does not report a promizen resolved with a rejected promizen when it is handled', async () => {
+    const inner = Promizen.reject('bad')
+    Promizen.resolve(inner).catch(() => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('does not report the elements consumed by the static methods', async () => {
+    Promizen.all([Promizen.reject('bad'), Promizen.reject('worse')]).catch(() => {})
+    Promizen.any([Promizen.reject('bad')]).catch(() => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('does not report the elements left by the collection helpers after a failure', async () => {
+    const rejections = () => ['a', 'b', 'c', 'd'].map((reason) => Promizen.reject(reason))
+    Promizen.map(rejections(), (value) => value).catch(() => {})
+    Promizen.map(new Set(rejections()), (value) => value, { concurrency: 1 }).catch(() => {})
+    Promizen.each(rejections(), () => {}).catch(() => {})
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('does not report the elements waiting for their turn in the collection helpers', async () => {
+    Promizen.mapSeries([1, Promizen.reject('b')], (value) => Promizen.delay(10, value)).catch(() => {})
+    await wait(30)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('does not leave a native rejected promise waiting for its turn in the collection helpers unhandled', async () => {
+    const reasons = []
+    const onUnhandled = (reason) => reasons.push(reason)
+    const listeners = process.listeners('unhandledRejection')
+    process.removeAllListeners('unhandledRejection')
+    process.on('unhandledRejection', onUnhandled)
+    try {
+      const each = Promizen.each([Promizen.delay(10, 1), Promise.reject(new Error('y'))], () => Promizen.delay(5))
+      assert.strictEqual((await settled(each)).reason.message, 'y')
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled)
+      listeners.forEach((listener) => process.on('unhandledRejection', listener))
+    }
+    assert.deepStrictEqual(reasons, [])
+  })
+
+  it('does not report the elements left by a cancelled collection helper', async () => {
+    const elements = [new Promizen(() => {}), Promizen.reject('b'), Promizen.reject('c')]
+    Promizen.mapSeries(elements, (value) => value).cancel()
+    await wait(10)
+    assert.deepStrictEqual(events, [])
+  })
+
+  it('rethrows the errors thrown from the tracker asynchronously', async () => {
+    Promizen.setRejectionTracker({
+      unhandledRejection: (reason) => { throw new Error(`unhandled ${reason}`) },
+      rejectionHandled: () => { throw new Error('handled') }
+    })
+    const errors = await captureUncaughtExceptions(async () => {
+      const first = Promizen.reject('first')
+      const second = Promizen.reject('second')
+      await wait(10)
+      assert.doesNotThrow(() => first.catch(() => {}))
+      second.catch(() => {})
+      await wait(10)
+    })
+    assert.deepStrictEqual(errors.map(({ message }) => message), ['unhandled first', 'unhandled second', 'handled', 'handled'])
+  })
+
+  it('throws a TypeError for an invalid tracker', () => {
+    assert.throws(() => Promizen.setRejectionTracker({ unhandledRejection: () => {} }), TypeError)
+  })
+})
+
+describe('default rejection tracker', () => {
+  it('emits the process events', async () => {
+    const events = []
+    const onUnhandled = (reason, promizen) => events.push(['unhandledRejection', reason, promizen])
+    const onHandled = (promizen) => events.push(['rejectionHandled', promizen])
+    const listeners = process.listeners('unhandledRejection')
+    process.removeAllListeners('unhandledRejection')
+    process.on('unhandledRejection', onUnhandled)
+    process.on('rejectionHandled', onHandled)
+    try {
+      const promizen = Promizen.reject('bad')
+      await wait(10)
+      promizen.catch(() => {})
+      assert.deepStrictEqual(events, [
+        ['unhandledRejection', 'bad', promizen],
+        ['rejectionHandled', promizen]
+      ])
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled)
+      process.removeListener('rejectionHandled', onHandled)
+      listeners.forEach((listener) => process.on('unhandledRejection', listener))
+    }
+  })
+
+  it('emits a warning when nobody listens to the process event', async () => {
+    Promizen.setRejectionTracker(null)
+    const listeners = process.listeners('unhandledRejection')
+    process.removeAllListeners('unhandledRejection')
+    const emitWarning = process.emitWarning
+    const warnings = []
+    process.emitWarning = (warning, type) => warnings.push([warning, type])
+    try {
+      Promizen.reject(new Error('lost in production'))
+      Promizen.reject(Object.create(null))
+      await wait(10)
+    } finally {
+      process.emitWarning = emitWarning
+      listeners.forEach((listener) => process.on('unhandledRejection', listener))
+    }
+    assert.strictEqual(warnings.length, 2)
+    assert.ok(warnings.every(([, type]) => type === 'UnhandledPromizenRejectionWarning'))
+    assert.ok(warnings[0][0].startsWith('a promizen was rejected without handlers: Error: lost in production\n'))
+    assert.strictEqual(warnings[1][0], 'a promizen was rejected without handlers: [object Object]')
+  })
+})